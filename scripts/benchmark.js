@@ -0,0 +1,218 @@
+/*
+ * Benchmark mode, for measuring the effect of performance changes.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Open index.html?benchmark to run. Instead of starting the game, we load
+ * each of a set of standard heavy scenes in turn, run it for a fixed number
+ * of frames with a fixed seed, and time each phase of every frame. The results
+ * are shown as JSON, and are also logged to the console and stored in
+ * window.benchmarkResults (for use by automated tooling).
+ *
+ * Results are only comparable between runs on the same machine, browser, and
+ * canvas size (which depends on the window size; see canvasConfig.js). To
+ * measure a change, run the benchmark a few times before and after.
+ */
+const BENCHMARK_SEED = 1;
+const BENCHMARK_WARMUP_FRAMES = 60; /* not timed; lets the JIT settle */
+const BENCHMARK_FRAMES = 600;
+
+/*
+ * Timed phases of each frame: updateGame, then each of its GAME_PHASES (see
+ * engine.js), then the zombies' soft body physics.
+ */
+const BENCHMARK_PHASES = ["updateGame"]
+  .concat(GAME_PHASE_NAMES)
+  .concat(["softBodyAnimate", "softBodyRender"]);
+
+/* Each scene draws itself onto a cleared canvas */
+const BENCHMARK_SCENES = [
+  ["waterTank", __benchmarkWaterTank],
+  ["lavaField", __benchmarkLavaField],
+  ["forestFire", __benchmarkForestFire],
+  ["zombies", __benchmarkZombies],
+];
+
+function __benchmarkFill(x1, y1, x2, y2, elem) {
+  for (var y = y1; y !== y2; y++) {
+    const offset = y * width;
+    for (var x = x1; x !== x2; x++) gameImagedata32[offset + x] = elem;
+  }
+}
+
+/* Walls on the sides and bottom of the canvas */
+function __benchmarkContainer() {
+  __benchmarkFill(0, 0, 1, height, WALL);
+  __benchmarkFill(MAX_X_IDX, 0, width, height, WALL);
+  __benchmarkFill(0, MAX_Y_IDX, width, height, WALL);
+}
+
+/* A tank filled almost to the brim, with a wall in the way to slosh around */
+function __benchmarkWaterTank() {
+  __benchmarkContainer();
+  __benchmarkFill(1, Math.floor(height * 0.1), MAX_X_IDX, MAX_Y_IDX, WATER);
+  __benchmarkFill(
+    Math.floor(width * 0.45),
+    Math.floor(height * 0.5),
+    Math.floor(width * 0.55),
+    MAX_Y_IDX,
+    BACKGROUND
+  );
+}
+
+/* A lake of lava, with water raining onto it */
+function __benchmarkLavaField() {
+  __benchmarkContainer();
+  __benchmarkFill(1, Math.floor(height * 0.5), MAX_X_IDX, MAX_Y_IDX, LAVA);
+  __benchmarkFill(1, 0, MAX_X_IDX, Math.floor(height * 0.1), WATER);
+}
+
+/* A dense thicket of plants on soil, lit along the bottom */
+function __benchmarkForestFire() {
+  __benchmarkContainer();
+  const soilY = Math.floor(height * 0.8);
+  __benchmarkFill(1, soilY, MAX_X_IDX, MAX_Y_IDX, SOIL);
+  __benchmarkFill(1, Math.floor(height * 0.2), MAX_X_IDX, soilY, PLANT);
+  __benchmarkFill(1, soilY - 1, MAX_X_IDX, soilY, FIRE);
+}
+
+/* A full horde of zombies, wading through water */
+function __benchmarkZombies() {
+  __benchmarkContainer();
+  __benchmarkFill(1, Math.floor(height * 0.7), MAX_X_IDX, MAX_Y_IDX, WATER);
+  setZombieCount(MAX_ZOMBIES);
+}
+
+/* Start the benchmark, in place of the main game loop */
+function runBenchmark() {
+  /* the spigots would otherwise pour into every scene */
+  SPIGOT_SIZES.fill(0);
+
+  const results = {};
+  results["seed"] = BENCHMARK_SEED;
+  results["frames"] = BENCHMARK_FRAMES;
+  results["width"] = width;
+  results["height"] = height;
+  results["userAgent"] = navigator.userAgent;
+  results["scenes"] = [];
+
+  document.getElementById("benchmarkOverlay").style.display = "block";
+
+  /* One scene at a time, so that the page can show progress in between */
+  var sceneIdx = 0;
+  const runNextScene = function () {
+    if (sceneIdx === BENCHMARK_SCENES.length) {
+      __finishBenchmark(results);
+      return;
+    }
+    const scene = BENCHMARK_SCENES[sceneIdx++];
+    drawBenchmarkStatus("Running " + scene[0] + "...");
+    window.setTimeout(function () {
+      results["scenes"].push(__benchmarkScene(scene[0], scene[1]));
+      runNextScene();
+    }, 0);
+  };
+  runNextScene();
+}
+
+function __benchmarkScene(name, setup) {
+  setZombieCount(0);
+  particles.inactivateAll();
+  setGameCanvas(BACKGROUND);
+  resetTemperature();
+  resetElectricity();
+  seedRandom(BENCHMARK_SEED);
+  setup();
+
+  const numPhases = BENCHMARK_PHASES.length;
+  const samples = [];
+  for (var p = 0; p !== numPhases; p++)
+    samples.push(new Float64Array(BENCHMARK_FRAMES));
+
+  /* When updateGame() started, then when each of its phases finished */
+  const phaseEnds = new Float64Array(NUM_GAME_PHASES + 1);
+  onGamePhase = function (phase) {
+    phaseEnds[phase + 1] = performance.now();
+  };
+
+  /* Recording rewind frames would be timed as part of updateElements() */
+  const savedOnCanvasChanges = onCanvasChanges;
+  onCanvasChanges = null;
+
+  const totalFrames = BENCHMARK_WARMUP_FRAMES + BENCHMARK_FRAMES;
+  for (var f = 0; f !== totalFrames; f++) {
+    updateGame();
+    const t0 = performance.now();
+    softBodyAnimate(ZOMBIE_ANIMATION_SPEED);
+    const t1 = performance.now();
+    softBodyRender();
+    const t2 = performance.now();
+
+    const sample = f - BENCHMARK_WARMUP_FRAMES;
+    if (sample < 0) continue;
+    samples[0][sample] = phaseEnds[NUM_GAME_PHASES] - phaseEnds[0];
+    for (p = 0; p !== NUM_GAME_PHASES; p++)
+      samples[p + 1][sample] = phaseEnds[p + 1] - phaseEnds[p];
+    samples[numPhases - 2][sample] = t1 - t0;
+    samples[numPhases - 1][sample] = t2 - t1;
+  }
+  onGamePhase = null;
+  onCanvasChanges = savedOnCanvasChanges;
+  rewindReset();
+  draw();
+
+  const phases = {};
+  for (p = 0; p !== numPhases; p++)
+    phases[BENCHMARK_PHASES[p]] = __benchmarkSummary(samples[p]);
+
+  const result = {};
+  result["name"] = name;
+  result["phases"] = phases;
+  return result;
+}
+
+/* Summary statistics for a list of per-frame timings, in milliseconds */
+function __benchmarkSummary(timings) {
+  const sorted = timings.slice().sort();
+  const numTimings = sorted.length;
+  var total = 0;
+  for (var i = 0; i !== numTimings; i++) total += sorted[i];
+
+  const round = function (ms) {
+    return Math.round(ms * 1000) / 1000;
+  };
+  const summary = {};
+  summary["totalMs"] = round(total);
+  summary["meanMs"] = round(total / numTimings);
+  summary["medianMs"] = round(sorted[Math.floor(numTimings / 2)]);
+  summary["p95Ms"] = round(sorted[Math.floor(numTimings * 0.95)]);
+  summary["maxMs"] = round(sorted[numTimings - 1]);
+  return summary;
+}
+
+function __finishBenchmark(results) {
+  const json = JSON.stringify(results, null, 2);
+  window["benchmarkResults"] = results;
+  console.log(json);
+  drawBenchmarkStatus("Done.");
+  document.getElementById("benchmarkResults").innerText = json;
+}
+
+function drawBenchmarkStatus(text) {
+  document.getElementById("benchmarkStatus").innerText = text;
+}
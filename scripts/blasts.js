@@ -0,0 +1,177 @@
+/*
+ * Blast waves from explosions, which shove loose elements outwards.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * An explosion calls addBlast() with its center, radius, and strength. Blasts
+ * are queued, and applied together by updateBlasts() once per frame.
+ *
+ * A blast is a single radial impulse rather than a simulated pressure field.
+ * We cast rays out from the center, and move each powder or liquid that a ray
+ * passes through further out along it, by up to 'strength' pixels at the
+ * center, falling off to nothing at 'radius'. Anything in the way stops it
+ * short. A ray ends at the first WALL, so walls shelter whatever is behind
+ * them. The pixels furthest out move first, to make room for those behind.
+ *
+ * Moved elements land instantly, and are then free to fall (or flow) back
+ * down as usual, which reads as being thrown.
+ */
+const BLAST_MAX_RADIUS = 256;
+
+/* Further blasts in the same frame are dropped, to bound the cost of chains */
+const MAX_QUEUED_BLASTS = 64;
+
+/* Blast sizes of the explosives. C4 and NUKE scale with their fireball. */
+const GUNPOWDER_BLAST_RADIUS = 5;
+const GUNPOWDER_BLAST_STRENGTH = 3;
+const NITRO_BLAST_RADIUS = 16;
+const NITRO_BLAST_STRENGTH = 8;
+const C4_BLAST_RADIUS_SCALE = 2;
+const C4_BLAST_STRENGTH_SCALE = 2;
+const NUKE_BLAST_RADIUS_SCALE = 1.5;
+const NUKE_BLAST_STRENGTH_SCALE = 0.25;
+
+/* Queued blasts, as (x, y, radius, strength) */
+const __blastQueue = new Float64Array(MAX_QUEUED_BLASTS * 4);
+var __numQueuedBlasts = 0;
+
+/* By element index: whether a blast moves it. Built by initBlasts(). */
+var __blastMovable = null;
+
+/*
+ * The blast that last moved each pixel's element, so that overlapping rays
+ * near the center don't move the same element twice.
+ */
+const __blastMovedBy = new Uint32Array(width * height);
+var __blastId = 0;
+
+/* Scratch space for the pixels along a ray, and their distance out */
+const __blastRayPixels = new Int32Array(BLAST_MAX_RADIUS);
+const __blastRayDistances = new Uint16Array(BLAST_MAX_RADIUS);
+
+function initBlasts() {
+  __blastMovable = new Uint8Array(NUM_ELEMENTS);
+  for (var e = 0; e !== NUM_ELEMENTS; e++) {
+    const phase = elementSpecs[e].phase;
+    __blastMovable[e] =
+      phase === PHASE_POWDER || phase === PHASE_LIQUID ? 1 : 0;
+  }
+  __numQueuedBlasts = 0;
+}
+
+/* Queue a blast centered on (x, y), to be applied by updateBlasts() */
+function addBlast(x, y, radius, strength) {
+  if (__numQueuedBlasts === MAX_QUEUED_BLASTS) return;
+
+  const offset = __numQueuedBlasts * 4;
+  __blastQueue[offset] = x;
+  __blastQueue[offset + 1] = y;
+  __blastQueue[offset + 2] = Math.min(radius, BLAST_MAX_RADIUS - 1);
+  __blastQueue[offset + 3] = strength;
+  __numQueuedBlasts++;
+}
+
+function updateBlasts() {
+  const numBlasts = __numQueuedBlasts;
+  for (var b = 0; b !== numBlasts; b++) {
+    const offset = b * 4;
+    __doBlast(
+      __blastQueue[offset],
+      __blastQueue[offset + 1],
+      __blastQueue[offset + 2],
+      __blastQueue[offset + 3]
+    );
+  }
+  __numQueuedBlasts = 0;
+}
+
+function __doBlast(cx, cy, radius, strength) {
+  if (radius < 1 || strength < 1) return;
+
+  __blastId++;
+  if (__blastId === 0xffffffff) {
+    __blastMovedBy.fill(0);
+    __blastId = 1;
+  }
+
+  /* Enough rays that neighboring ones are no more than a pixel apart */
+  const numRays = Math.ceil(TWO_PI * radius);
+  for (var r = 0; r !== numRays; r++) {
+    const angle = (r / numRays) * TWO_PI;
+    __blastRay(cx, cy, Math.cos(angle), Math.sin(angle), radius, strength);
+  }
+}
+
+function __blastRay(cx, cy, dx, dy, radius, strength) {
+  const rayPixels = __blastRayPixels;
+  const rayDistances = __blastRayDistances;
+  const movedBy = __blastMovedBy;
+  const blastId = __blastId;
+
+  /* Walk out from the center, noting the pixels that could move */
+  var numPixels = 0;
+  var prev = -1;
+  for (var d = 1; d <= radius; d++) {
+    const x = Math.round(cx + dx * d);
+    const y = Math.round(cy + dy * d);
+    if (x < 0 || x > MAX_X_IDX || y < 0 || y > MAX_Y_IDX) break;
+
+    const i = x + y * width;
+    if (i === prev) continue;
+    prev = i;
+
+    const elem = gameImagedata32[i];
+    if (elem === WALL) break;
+    if (!__blastMovable[elementIndex(elem)]) continue;
+    if (movedBy[i] === blastId) continue;
+
+    rayPixels[numPixels] = i;
+    rayDistances[numPixels] = d;
+    numPixels++;
+  }
+
+  /* Then push them further out, furthest first */
+  for (var k = numPixels - 1; k !== -1; k--) {
+    const from = rayPixels[k];
+    const distance = rayDistances[k];
+    const push = Math.floor(strength * (1 - distance / radius));
+    if (push < 1) continue;
+
+    /* An earlier ray may have already moved this element away */
+    const elem = gameImagedata32[from];
+    if (!__blastMovable[elementIndex(elem)]) continue;
+
+    var to = from;
+    for (var step = 1; step <= push; step++) {
+      const x = Math.round(cx + dx * (distance + step));
+      const y = Math.round(cy + dy * (distance + step));
+      if (x < 0 || x > MAX_X_IDX || y < 0 || y > MAX_Y_IDX) break;
+
+      const i = x + y * width;
+      if (i === to) continue;
+      if (gameImagedata32[i] !== BACKGROUND) break;
+      to = i;
+    }
+    if (to === from) continue;
+
+    gameImagedata32[to] = elem;
+    gameImagedata32[from] = BACKGROUND;
+    swapTemperature(from, to);
+    movedBy[to] = blastId;
+  }
+}
@@ -20,9 +20,20 @@
 const __max_width = 560;
 const __max_height = 480;
 
+/*
+ * Headless runs (see tools/headless.js) have no screen, and instead pick the
+ * canvas size up front.
+ */
+const __headless_config =
+  typeof screen === "undefined" ? globalThis["HEADLESS_CONFIG"] : null;
+
 /* Need to use a smaller size when on mobile devices with small screens */
-const width = Math.min(__max_width, Math.max(screen.width - 6, 1));
-const height = Math.min(__max_height, Math.max(screen.height - 200, 100));
+const width = __headless_config
+  ? __headless_config["width"]
+  : Math.min(__max_width, Math.max(screen.width - 6, 1));
+const height = __headless_config
+  ? __headless_config["height"]
+  : Math.min(__max_height, Math.max(screen.height - 200, 100));
 
 const MAX_FPS = 120;
 const DEFAULT_FPS = 60;
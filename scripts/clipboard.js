@@ -0,0 +1,154 @@
+/*
+ * Blocks of elements, for copying and pasting, and the stamps built from them.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * An ElementBlock is a rectangle of element colors, cut or copied from the
+ * canvas, or built from a stamp. Pasting one draws it into a RasterBuffer
+ * (see RasterBuffer.drawImage()), leaving out its BACKGROUND pixels, so that
+ * a paste only ever adds to what is already on the canvas.
+ *
+ * Stamps are prefabs, drawn in ASCII art like the test scenes. To add one,
+ * append it to STAMPS; any new characters go in STAMP_LEGEND.
+ */
+class ElementBlock {
+  constructor(blockWidth, blockHeight) {
+    this.width = blockWidth;
+    this.height = blockHeight;
+    this.data = new Uint32Array(blockWidth * blockHeight).fill(BACKGROUND);
+  }
+
+  /* Copy a rectangle of the canvas, which must lie inside it */
+  static fromCanvas(x, y, blockWidth, blockHeight) {
+    const block = new ElementBlock(blockWidth, blockHeight);
+    for (var row = 0; row !== blockHeight; row++) {
+      const offset = (y + row) * width + x;
+      block.data.set(
+        gameImagedata32.subarray(offset, offset + blockWidth),
+        row * blockWidth
+      );
+    }
+    return block;
+  }
+
+  /*
+   * Build a block from rows of characters, listed top to bottom, which are
+   * mapped to elements by 'legend'.
+   */
+  static fromRows(rows, legend) {
+    const blockWidth = rows[0].length;
+    const block = new ElementBlock(blockWidth, rows.length);
+    for (var y = 0; y !== rows.length; y++) {
+      const row = rows[y];
+      if (row.length !== blockWidth) throw "rows must all be the same length";
+      for (var x = 0; x !== blockWidth; x++) {
+        const elem = legend[row[x]];
+        if (elem === undefined) throw "no legend entry for '" + row[x] + "'";
+        block.data[x + y * blockWidth] = elem;
+      }
+    }
+    return block;
+  }
+
+  /* Returns a copy, rotated a quarter turn clockwise */
+  rotated() {
+    const blockWidth = this.width;
+    const blockHeight = this.height;
+    const block = new ElementBlock(blockHeight, blockWidth);
+    for (var y = 0; y !== blockHeight; y++) {
+      for (var x = 0; x !== blockWidth; x++) {
+        block.data[blockHeight - 1 - y + x * blockHeight] =
+          this.data[x + y * blockWidth];
+      }
+    }
+    return block;
+  }
+
+  /* Returns a mirrored copy, flipped top to bottom if 'vertical' is set */
+  flipped(vertical) {
+    const blockWidth = this.width;
+    const blockHeight = this.height;
+    const block = new ElementBlock(blockWidth, blockHeight);
+    for (var y = 0; y !== blockHeight; y++) {
+      for (var x = 0; x !== blockWidth; x++) {
+        const toX = vertical ? x : blockWidth - 1 - x;
+        const toY = vertical ? blockHeight - 1 - y : y;
+        block.data[toX + toY * blockWidth] = this.data[x + y * blockWidth];
+      }
+    }
+    return block;
+  }
+}
+
+const STAMP_LEGEND = {
+  ".": BACKGROUND,
+  "#": WALL,
+  c: C4,
+  "~": FUSE,
+  "^": TORCH,
+  D: WET_SOIL,
+  "=": SPOUT,
+};
+
+const STAMPS = [
+  {
+    /* Light the end of the fuse */
+    name: "Bomb",
+    rows: [
+      "....~~~~~",
+      "....~....",
+      "...c~c...",
+      "..cc~cc..",
+      ".ccc~ccc.",
+      ".ccccccc.",
+      ".ccccccc.",
+      "..ccccc..",
+      "...ccc...",
+    ],
+  },
+  {
+    /*
+     * Burns whatever is dropped in. Torches burn away anything touching
+     * their sides, so they are kept apart from each other and the walls.
+     */
+    name: "Furnace",
+    rows: [
+      "#.............#",
+      "#.............#",
+      "#.............#",
+      "#.............#",
+      "#.............#",
+      "#.^..^..^..^..#",
+      "#.............#",
+      "###############",
+    ],
+  },
+  {
+    /* Trees sprout from the watered soil */
+    name: "Tree farm",
+    rows: [
+      "...........=...........",
+      ".......................",
+      ".......................",
+      "#.....................#",
+      "#DDDDDDDDDDDDDDDDDDDDD#",
+      "#DDDDDDDDDDDDDDDDDDDDD#",
+      "#######################",
+    ],
+  },
+];
@@ -76,11 +76,26 @@ Matter.Body.prototype.constraintImpulse;
  */
 Matter.Body.prototype.velocity;
 
+/**
+ * @type {{x: number, y: number}}
+ */
+Matter.Body.prototype.position;
+
+/**
+ * @type {number}
+ */
+Matter.Body.prototype.angle;
+
 /**
  * @type {number}
  */
 Matter.Body.prototype.angularVelocity;
 
+/**
+ * @type {boolean}
+ */
+Matter.Body.prototype.isStatic;
+
 /**
  * @type {!Array<{x: number, y: number}>}
  */
@@ -122,6 +137,18 @@ Matter.Body.setAngularVelocity = function(body, velocity) {};
  */
 Matter.Body.setVelocity = function(body, velocity) {};
 
+/**
+ * @param {!Object} body
+ * @param {!Object} position
+ */
+Matter.Body.setPosition = function(body, position) {};
+
+/**
+ * @param {!Object} body
+ * @param {number} angle
+ */
+Matter.Body.setAngle = function(body, angle) {};
+
 /**
  * @const
  */
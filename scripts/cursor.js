@@ -21,8 +21,8 @@
  * Cursor options. Controlled via the menu.
  */
 var PENSIZE;
+var PENDENSITY;
 var SELECTED_ELEM;
-var OVERWRITE_ENABLED;
 
 /*
  * Offscreen canvas for drawing user stroke. We draw on
@@ -59,6 +59,9 @@ class Cursor {
     this.isDown = false;
     this.inCanvas = false;
     this.canvas = canvas;
+
+    /* Set if this press flipped a switch, rather than starting a stroke */
+    this.flippedSwitch = false;
   }
 
   notifyCursorUp() {
@@ -80,10 +83,28 @@ class Cursor {
     this.y = y;
     this.initX = x;
     this.initY = y;
+
+    /* Clicking a switch with SWITCH selected flips it */
+    this.flippedSwitch = false;
+    if (SELECTED_ELEM === SWITCH_OFF) {
+      historyBeginEdit();
+      this.flippedSwitch = toggleSwitch(x, y, historyRecordPixel);
+    }
+
+    if (!this.flippedSwitch && SELECTED_TOOL !== TOOL_BRUSH) {
+      toolCursorDown(x, y);
+    }
   }
 
   canvasCursorMove(getPos) {
-    if (!this.isDown) return;
+    if (!this.isDown) {
+      /* A polygon in progress, or a paste, follows the cursor between clicks */
+      if (toolTracksCursor()) {
+        const pos = getPos();
+        toolCursorMove(pos[0], pos[1]);
+      }
+      return;
+    }
 
     const pos = getPos();
 
@@ -133,7 +154,10 @@ class Cursor {
 
   documentCursorUp() {
     this.isDown = false;
+    this.flippedSwitch = false;
     this.notifyCursorUp();
+    toolCursorUp();
+    historyEndEdit();
   }
 
   documentCursorDown(e, getPos) {
@@ -221,8 +245,20 @@ class Cursor {
 
     const color = SELECTED_ELEM;
 
-    /* We only want to drag zombies, not draw them */
-    if (color === ZOMBIE) {
+    /*
+     * We only want to drag zombies, not draw them. Selecting and pasting don't
+     * use the selected element, so they carry on.
+     */
+    if (
+      color === ZOMBIE &&
+      SELECTED_TOOL !== TOOL_SELECT &&
+      SELECTED_TOOL !== TOOL_PASTE
+    ) {
+      return;
+    }
+
+    /* Don't draw over a switch we just flipped */
+    if (this.flippedSwitch) {
       return;
     }
 
@@ -238,7 +274,12 @@ class Cursor {
       Matter.Mouse.setOffset(softBodyMouse, {x: width + 1, y: height + 1});
     }
 
-    const overwrite = OVERWRITE_ENABLED || color === BACKGROUND;
+    /* Other tools preview their shape, and paint it once it's finished */
+    if (SELECTED_TOOL !== TOOL_BRUSH) {
+      toolCursorMove(this.x, this.y);
+      return;
+    }
+
     const r = color & 0xff;
     const g = (color & 0xff00) >>> 8;
     const b = (color & 0xff0000) >>> 16;
@@ -321,6 +362,7 @@ class Cursor {
       console.log("Bug in userstroke drawing");
       return;
     }
+    historyBeginEdit();
     for (y = yStart; y !== yTerminate; y++) {
       const y_absolute = y + y_translate;
       const offset_absolute = y_absolute * width;
@@ -334,10 +376,11 @@ class Cursor {
          * well. So, it is sufficient (and necessary) to consider a pixel
          * colored as long as it is not black.
          */
-        if (strokeImageData32[x + offset_relative] !== 0xff000000) {
-          const absIdx = x_absolute + offset_absolute;
-          if (overwrite || gameImagedata32[absIdx] === BACKGROUND)
-            gameImagedata32[absIdx] = color;
+        if (
+          strokeImageData32[x + offset_relative] !== 0xff000000 &&
+          brushPaints(PENDENSITY)
+        ) {
+          paintPixel(x_absolute + offset_absolute, color);
         }
       }
     }
@@ -648,8 +691,8 @@ class TouchCursor extends Cursor {
 
 function initCursors() {
   PENSIZE = PEN_SIZES[DEFAULT_PEN_IDX];
+  PENDENSITY = MAX_PEN_DENSITY;
   SELECTED_ELEM = WALL;
-  OVERWRITE_ENABLED = true;
 
   /* Set up direction constants for drawing straight lines */
   MouseCursor.NO_DIRECTION = 0;
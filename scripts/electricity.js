@@ -0,0 +1,268 @@
+/*
+ * Electricity, which runs along wires as sparks.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * A BATTERY charges the WIRE it touches, turning it into a SPARK. On the next
+ * frame, the spark charges the WIRE it touches in turn, and then becomes
+ * SPARK_COOLDOWN for SPARK_COOLDOWN_FRAMES. Since cooling wire can't be
+ * charged, current only flows away from where it came from. A battery
+ * therefore sends a steady train of pulses down a wire, one pixel per frame,
+ * and the length of the wire sets how long a pulse takes to arrive.
+ *
+ * Cooled wire takes a charge straight away, but only turns back into WIRE a
+ * frame later. That way, wire carrying a train of pulses never shows as WIRE,
+ * whichever order we visit it and its neighbors in.
+ *
+ * Current only flows between pixels that share a side (see bordering()), so
+ * diagonal runs of wire need to be at least 2 pixels thick. INSULATOR never
+ * conducts, and keeps wires that would otherwise touch apart.
+ *
+ * Sparks also act on everything else they touch, corners included (see
+ * borderingAdjacent()). They ignite FUSE, detonate C4 and GUNPOWDER, and
+ * electrolyze WATER. Zombies that touch a spark are shocked (see zombies.js).
+ */
+const SPARK_COOLDOWN_FRAMES = 4;
+
+/* Percent chance per frame that a spark splits a bordering WATER pixel */
+const ELECTROLYSIS_CHANCE = 10;
+
+/* Counts frames, wrapping at 256, to time sparks and cooldowns */
+var __electricFrame = 0;
+
+/* The frame each SPARK or SPARK_COOLDOWN pixel took on its state */
+const __sparkFrame = new Uint8Array(width * height);
+
+function initElectricity() {
+  resetElectricity();
+  addCanvasChangeHook(__clearRemovedDelays);
+}
+
+/* Forget the state of every circuit (ie. when the canvas is replaced) */
+function resetElectricity() {
+  __electricFrame = 0;
+  __sparkFrame.fill(0);
+  __delayLine.fill(0);
+}
+
+function updateElectricity() {
+  __electricFrame = (__electricFrame + 1) & 0xff;
+}
+
+/* Frames since the SPARK or SPARK_COOLDOWN at i took on its state */
+function __sparkAge(i) {
+  return (__electricFrame - __sparkFrame[i]) & 0xff;
+}
+
+/* Turn the wire at i into a SPARK, if it is ready to carry current */
+function __charge(i) {
+  const elem = gameImagedata32[i];
+  if (
+    elem === WIRE ||
+    (elem === SPARK_COOLDOWN && __sparkAge(i) >= SPARK_COOLDOWN_FRAMES)
+  ) {
+    gameImagedata32[i] = SPARK;
+    __sparkFrame[i] = __electricFrame;
+  }
+}
+
+/* Charge the wire bordering (x, y). See bordering(). */
+function __chargeBordering(x, y, i) {
+  if (y !== MAX_Y_IDX) __charge(i + width);
+  if (x !== 0) __charge(i - 1);
+  if (x !== MAX_X_IDX) __charge(i + 1);
+  if (y !== 0) __charge(i - width);
+}
+
+function doBattery(x, y, i) {
+  __chargeBordering(x, y, i);
+}
+
+function doSpark(x, y, i) {
+  /*
+   * Wait out the frame the spark was charged in, or current would race
+   * through the rest of the wire in the direction we are visiting pixels.
+   */
+  if (__sparkFrame[i] === __electricFrame) return;
+
+  __chargeBordering(x, y, i);
+
+  var loc;
+  while ((loc = borderingAdjacent(x, y, i, FUSE)) !== -1)
+    gameImagedata32[loc] = FIRE;
+
+  loc = borderingAdjacent(x, y, i, C4);
+  if (loc !== -1) {
+    const locX = loc % width;
+    particles.addActiveParticle(C4_PARTICLE, locX, (loc - locX) / width, loc);
+    gameImagedata32[loc] = FIRE;
+  }
+
+  loc = borderingAdjacent(x, y, i, GUNPOWDER);
+  if (loc !== -1) {
+    const locX = loc % width;
+    __doGunpowderExplosion(locX, (loc - locX) / width, loc);
+    /* Even if the explosion fizzles, leave it burning */
+    gameImagedata32[loc] = FIRE;
+  }
+
+  /* Splits into hydrogen, which burns like METHANE; we don't model oxygen */
+  if (random() < ELECTROLYSIS_CHANCE) {
+    loc = borderingAdjacent(x, y, i, WATER);
+    if (loc !== -1) gameImagedata32[loc] = METHANE;
+  }
+
+  gameImagedata32[i] = SPARK_COOLDOWN;
+  __sparkFrame[i] = __electricFrame;
+}
+
+function doSparkCooldown(x, y, i) {
+  if (__sparkAge(i) > SPARK_COOLDOWN_FRAMES) gameImagedata32[i] = WIRE;
+}
+
+/*  ============================ Circuit parts ============================ */
+
+/*
+ * Gates and delays read their inputs from the conductors to their left, to
+ * their right, and above, and drive the WIRE below. An input is live while
+ * current is passing through it (ie. it is SPARK or SPARK_COOLDOWN), so a
+ * battery's train of pulses reads as a steady signal. A live output likewise
+ * sends a pulse down the wire whenever it is ready to carry one.
+ *
+ * Each pixel is a whole gate, so circuit parts are best drawn with the
+ * smallest pen.
+ *
+ * SWITCH_ON, and a SENSOR touching sensorElement, power the WIRE they touch,
+ * like a battery.
+ */
+const DELAY_FRAMES = 30; /* under 32, the bits in a __delayLine entry */
+
+/* The element that sets off sensors. Controlled via the menu. */
+var sensorElement = WATER;
+
+/*
+ * Each DELAY pixel's input over the last 32 frames, newest in the lowest bit.
+ * DELAY_FRAMES is well under CHUNK_SLEEP_FRAMES, so the input changing keeps
+ * the chunk awake until the output has caught up. An entry is cleared when its
+ * pixel stops being DELAY (see __clearRemovedDelays()), and all of them are
+ * cleared when the canvas is replaced.
+ */
+const __delayLine = new Uint32Array(width * height);
+
+/* Set by __readGateInputs() */
+var __numLiveInputs = 0;
+
+function __isConductor(elem) {
+  return elem === WIRE || elem === SPARK || elem === SPARK_COOLDOWN;
+}
+
+/*
+ * Returns the number of inputs connected to the gate at (x, y), and sets
+ * __numLiveInputs to how many of them are live.
+ */
+function __readGateInputs(x, y, i) {
+  var numInputs = 0;
+  var numLive = 0;
+  var elem;
+
+  if (x !== 0) {
+    elem = gameImagedata32[i - 1];
+    if (__isConductor(elem)) {
+      numInputs++;
+      if (elem !== WIRE) numLive++;
+    }
+  }
+  if (x !== MAX_X_IDX) {
+    elem = gameImagedata32[i + 1];
+    if (__isConductor(elem)) {
+      numInputs++;
+      if (elem !== WIRE) numLive++;
+    }
+  }
+  if (y !== 0) {
+    elem = gameImagedata32[i - width];
+    if (__isConductor(elem)) {
+      numInputs++;
+      if (elem !== WIRE) numLive++;
+    }
+  }
+
+  __numLiveInputs = numLive;
+  return numInputs;
+}
+
+function __driveOutput(y, i) {
+  if (y !== MAX_Y_IDX) __charge(i + width);
+}
+
+function doAndGate(x, y, i) {
+  const numInputs = __readGateInputs(x, y, i);
+  if (numInputs !== 0 && __numLiveInputs === numInputs) __driveOutput(y, i);
+}
+
+function doOrGate(x, y, i) {
+  __readGateInputs(x, y, i);
+  if (__numLiveInputs !== 0) __driveOutput(y, i);
+}
+
+function doNotGate(x, y, i) {
+  __readGateInputs(x, y, i);
+  if (__numLiveInputs === 0) __driveOutput(y, i);
+}
+
+/* Repeats its input DELAY_FRAMES later */
+function doDelay(x, y, i) {
+  __readGateInputs(x, y, i);
+  const line = (__delayLine[i] << 1) | (__numLiveInputs !== 0 ? 1 : 0);
+  __delayLine[i] = line;
+  if (line & (1 << DELAY_FRAMES)) __driveOutput(y, i);
+}
+
+/*
+ * Clear the delay line of each pixel that stopped being DELAY, so that a DELAY
+ * drawn there later doesn't repeat what the old one saw. Added as a hook to the
+ * change pass (see findCanvasChanges()).
+ */
+function __clearRemovedDelays() {
+  for (var c = 0; c !== numCanvasChanges; c++) {
+    if (canvasChangeBefore[c] === DELAY)
+      __delayLine[canvasChangeIndices[c]] = 0;
+  }
+}
+
+function doSensor(x, y, i) {
+  if (borderingAdjacent(x, y, i, sensorElement) !== -1) doBattery(x, y, i);
+}
+
+/*
+ * Flip the switch at (x, y), along with every switch pixel connected to it.
+ * Calls onChange(i, elem) just before setting pixel i to elem, so that the
+ * caller can record the edit. Returns false if there is no switch at (x, y).
+ */
+function toggleSwitch(x, y, onChange) {
+  const start = x + y * width;
+  const from = gameImagedata32[start];
+  if (from !== SWITCH_OFF && from !== SWITCH_ON) return false;
+  const to = from === SWITCH_OFF ? SWITCH_ON : SWITCH_OFF;
+
+  forEachConnected(x, y, false, function (i) {
+    onChange(i, to);
+    gameImagedata32[i] = to;
+  });
+  return true;
+}
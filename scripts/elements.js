@@ -19,15 +19,19 @@
 
 /*
  * ADDING NEW ELEMENTS:
- * 1. Define the element color using the __inGameColor() method.
- * 2. Add an entry for the element into the elements and elementActions
- *    arrays. The order of these arrays must match the order that elements
- *    are declared, so that we can index properly.
- * 3. If the element should be gas permeable (allow gas to pass through it),
- *    add it to the GAS_PERMEABLE dictionary in the initElements() function.
- * 4. Implement your element action function. This is a function that takes
+ * 1. Register the element with registerElement(), after all the existing
+ *    elements. The spec describes everything about the element, including
+ *    its phase, density, and what it sinks through, and where it appears in
+ *    the menu (see the registry below).
+ * 2. Implement your element action function. This is a function that takes
  *    in the x, y, and i position of your element, and then responds
  *    based on your desired interaction properties.
+ * 3. If the element can change with low probability (under ~10% per frame),
+ *    or entirely on its own, mark it as restless. Otherwise, it may stop
+ *    updating when its chunk of the canvas falls asleep (see engine.js).
+ * 4. Simple reactions with other elements ("if bordering X, become Y") are
+ *    better registered in reactions.js than hand-coded in the action. The
+ *    engine runs them after the action.
  *
  * NOTE: Try to optimize for speed and reduce required calculation. For example,
  * limit an action to occur with probability p by using 'if (random() < p)'.
@@ -40,12 +44,16 @@
  * of javascript, the byte order for our 32 bit integers is: alpha, b, g, r.
  *
  * We need a *fast* way to map a given 32 bit color to an index in our
- * elementActions array. To do this, we reserve the lowest 2 bits from each of
- * the r, g, and b fields. We then combine these 6 bits together, and treat this
+ * elementActions array. To do this, we reserve the lowest 3 bits from each of
+ * the r, g, and b fields. We then combine these 9 bits together, and treat this
  * value as the index. The human eye won't be able to notice that we've hijacked
- * these lower-ordered 2 bit regions of the r, g, and b channels. Thus, given
- * values of r, g, and b, the index for the color is naturally:
- * (r & 0x3) + (r & 0x300) >>> 6 + (r & 0x30000) >>> 12;
+ * these lower-ordered 3 bit regions of the r, g, and b channels. Thus, given
+ * a color c, the index for the color is naturally:
+ * (c & 0x7) + ((c & 0x700) >>> 5) + ((c & 0x70000) >>> 10);
+ *
+ * This allows for up to MAX_ELEMENTS (512) elements. We originally reserved
+ * only 2 bits per channel, which capped us at 64 elements. Should we ever need
+ * more than 512, a 4th bit per channel is still imperceptible.
  *
  * This gives us the flexibility of using actual color data, while still
  * allowing us to *quickly* map colors to indices. A dictionary would be far too
@@ -59,218 +67,692 @@
  * browers handle "ignoring alpha" differently, and this approach wasn't
  * supported on every browser.
  */
-var __next_elem_idx = 0;
-function __inGameColor(r, g, b) {
+const MAX_ELEMENTS = 512;
+
+/* The in-game color for (r, g, b), encoding the element index 'idx' */
+function elementColor(r, g, b, idx) {
   const alpha = 0xff000000;
-  r = r & 0xfc;
-  g = g & 0xfc;
-  b = b & 0xfc;
+  r = r & 0xf8;
+  g = g & 0xf8;
+  b = b & 0xf8;
 
-  const r_idx = __next_elem_idx & 0b11;
-  const g_idx = (__next_elem_idx & 0b1100) >>> 2;
-  const b_idx = (__next_elem_idx & 0b110000) >>> 4;
+  const r_idx = idx & 0b111;
+  const g_idx = (idx & 0b111000) >>> 3;
+  const b_idx = (idx & 0b111000000) >>> 6;
 
   r += r_idx;
   g += g_idx;
   b += b_idx;
 
-  __next_elem_idx++;
-
   return alpha + (b << 16) + (g << 8) + r;
 }
 
-/* Order here MUST match order in elements and elementActions arrays */
-const BACKGROUND = __inGameColor(0, 0, 0);
-const WALL = __inGameColor(127, 127, 127);
-const SAND = __inGameColor(223, 193, 99);
-const WATER = __inGameColor(0, 10, 255);
-const PLANT = __inGameColor(0, 220, 0);
-const FIRE = __inGameColor(255, 0, 10);
-const SALT = __inGameColor(253, 253, 253);
-const SALT_WATER = __inGameColor(127, 175, 255);
-const OIL = __inGameColor(150, 60, 0);
-const SPOUT = __inGameColor(117, 189, 252);
-const WELL = __inGameColor(131, 11, 28);
-const TORCH = __inGameColor(200, 5, 0);
-const GUNPOWDER = __inGameColor(170, 170, 140);
-const WAX = __inGameColor(239, 225, 211);
-const FALLING_WAX = __inGameColor(240, 225, 211);
-const NITRO = __inGameColor(0, 150, 26);
-const NAPALM = __inGameColor(220, 128, 70);
-const C4 = __inGameColor(240, 230, 150);
-const CONCRETE = __inGameColor(180, 180, 180);
-const FUSE = __inGameColor(219, 175, 199);
-const ICE = __inGameColor(161, 232, 255);
-const CHILLED_ICE = __inGameColor(20, 153, 220);
-const LAVA = __inGameColor(245, 110, 40);
-const ROCK = __inGameColor(68, 40, 8);
-const STEAM = __inGameColor(195, 214, 235);
-const CRYO = __inGameColor(0, 213, 255);
-const MYSTERY = __inGameColor(162, 232, 196);
-const METHANE = __inGameColor(140, 140, 140);
-const SOIL = __inGameColor(120, 75, 33);
-const WET_SOIL = __inGameColor(70, 35, 10);
-const BRANCH = __inGameColor(166, 128, 100);
-const LEAF = __inGameColor(82, 107, 45);
-const POLLEN = __inGameColor(230, 235, 110);
-const CHARGED_NITRO = __inGameColor(245, 98, 78);
-const ACID = __inGameColor(157, 240, 40);
-const THERMITE = __inGameColor(195, 140, 70);
-const BURNING_THERMITE = __inGameColor(255, 130, 130);
-const ZOMBIE = __inGameColor(236, 223, 245);
-const ZOMBIE_WET = __inGameColor(236, 223, 245);
-const ZOMBIE_BURNING = __inGameColor(250, 130, 130);
-const ZOMBIE_FROZEN = __inGameColor(190, 190, 250);
-
 /*
- * It would be nice to combine the elements and elementActions
- * into a single 2d array, but to optimize for speed we need
- * to use a Uint32Array for the elements. It would also be nice
- * to abstract this out a bit and make each element its own
- * subclass. But again, this would be far too slow (class
- * property/function lookup time would be a severe bottleneck).
+ * Maps an element color back to its index. The hot loops in engine.js inline
+ * this rather than paying for a function call per pixel.
  */
-const elements = new Uint32Array([
-  BACKGROUND,
-  WALL,
-  SAND,
-  WATER,
-  PLANT,
-  FIRE,
-  SALT,
-  SALT_WATER,
-  OIL,
-  SPOUT,
-  WELL,
-  TORCH,
-  GUNPOWDER,
-  WAX,
-  FALLING_WAX,
-  NITRO,
-  NAPALM,
-  C4,
-  CONCRETE,
-  FUSE,
-  ICE,
-  CHILLED_ICE,
-  LAVA,
-  ROCK,
-  STEAM,
-  CRYO,
-  MYSTERY,
-  METHANE,
-  SOIL,
-  WET_SOIL,
-  BRANCH,
-  LEAF,
-  POLLEN,
-  CHARGED_NITRO,
-  ACID,
-  THERMITE,
-  BURNING_THERMITE,
-  ZOMBIE,
-  ZOMBIE_WET,
-  ZOMBIE_BURNING,
-  ZOMBIE_FROZEN,
-]);
-const elementActions = [
-  BACKGROUND_ACTION,
-  WALL_ACTION,
-  SAND_ACTION,
-  WATER_ACTION,
-  PLANT_ACTION,
-  FIRE_ACTION,
-  SALT_ACTION,
-  SALT_WATER_ACTION,
-  OIL_ACTION,
-  SPOUT_ACTION,
-  WELL_ACTION,
-  TORCH_ACTION,
-  GUNPOWDER_ACTION,
-  WAX_ACTION,
-  FALLING_WAX_ACTION,
-  NITRO_ACTION,
-  NAPALM_ACTION,
-  C4_ACTION,
-  CONCRETE_ACTION,
-  FUSE_ACTION,
-  ICE_ACTION,
-  CHILLED_ICE_ACTION,
-  LAVA_ACTION,
-  ROCK_ACTION,
-  STEAM_ACTION,
-  CRYO_ACTION,
-  MYSTERY_ACTION,
-  METHANE_ACTION,
-  SOIL_ACTION,
-  WET_SOIL_ACTION,
-  BRANCH_ACTION,
-  LEAF_ACTION,
-  POLLEN_ACTION,
-  CHARGED_NITRO_ACTION,
-  ACID_ACTION,
-  THERMITE_ACTION,
-  BURNING_THERMITE_ACTION,
-  ZOMBIE_ACTION,
-  ZOMBIE_WET_ACTION,
-  ZOMBIE_BURNING_ACTION,
-  ZOMBIE_FROZEN_ACTION,
-];
-Object.freeze(elementActions);
-
-const GAS_PERMEABLE = {};
-
-const NUM_ELEMENTS = elements.length;
-
-function initElements() {
-  if (NUM_ELEMENTS > 64)
-    throw "too many elements (we only use 6 bits for element index)";
-
-  if (NUM_ELEMENTS !== elementActions.length) throw "need 1 action per element";
+function elementIndex(color) {
+  return ((color & 0x70000) >>> 10) + ((color & 0x700) >>> 5) + (color & 0x7);
+}
 
-  const colors = {};
+/* Element phases, for the density model */
+const PHASE_STATIC = 0;
+const PHASE_POWDER = 1;
+const PHASE_LIQUID = 2;
+const PHASE_GAS = 3;
 
-  for (var i = 0; i < elements.length; i++) {
-    const color = elements[i];
-    const color_idx =
-      ((color & 0x30000) >>> 12) + ((color & 0x300) >>> 6) + (color & 0x3);
+/*
+ * The element registry. Each element is registered once, with a spec listing
+ * everything about it:
+ *
+ *   name          canonical name, matching the constant it is assigned to
+ *   color         [r, g, b]. The low bits are replaced by the element index.
+ *   action        the element's action function (see below)
+ *   phase         PHASE_STATIC, PHASE_POWDER, PHASE_LIQUID, or PHASE_GAS.
+ *                 Together with density, decides which elements sink through
+ *                 which (see "Density" below).
+ *   density       in kg/m^3, roughly. Only meaningful for non-static elements.
+ *   sinksThrough  { NAME: chance, ... }. Lighter elements it sinks through,
+ *                 each with its own chance per frame, checked in the order
+ *                 listed. See "Density" below for the elements it sinks
+ *                 through without listing them.
+ *   gasTight      gases can't rise through it, even though it is heavier
+ *   heatCapacity  at least 1. The higher it is, the more heat it takes to
+ *                 change the element's temperature (see temperature.js).
+ *   conductivity  in [0, 1]. How readily heat flows into and out of it.
+ *   temperature   its temperature when it appears, or null for ambient
+ *   heatSource    holds its temperature, no matter what it touches
+ *   restless      may change with low probability (under ~10% per frame), or
+ *                 entirely on its own. Keeps its chunk of the canvas from
+ *                 falling asleep (see engine.js).
+ *   paintable     particles may paint it onto the canvas
+ *   spigot        offered as a spigot element in the menu
+ *   menu          { order, label, textColor } if the element is in the menu.
+ *                 Buttons are sorted by order. label defaults to the name, and
+ *                 textColor (for colors with poor contrast against the menu)
+ *                 to the element color.
+ *
+ * The lookup tables used by the game (elements, elementActions, etc.) are
+ * built from the registry by initElements() and the other init functions.
+ * Hot paths use those tables, rather than looking up spec properties, which
+ * would be far too slow.
+ */
+const elementSpecs = [];
+
+/* Every spec property, and its default */
+const __elementSpecDefaults = {
+  name: "",
+  color: null,
+  action: null,
+  phase: PHASE_STATIC,
+  density: 0,
+  sinksThrough: null,
+  gasTight: false,
+  heatCapacity: 2,
+  conductivity: 0.2,
+  temperature: null,
+  heatSource: false,
+  restless: false,
+  paintable: false,
+  spigot: false,
+  menu: null,
+};
+
+var __elementsInitialized = false;
 
-    if (color_idx !== i)
-      throw "elements array order does not match element indices";
+/*
+ * Register an element, returning its in-game color. Element indices are
+ * assigned in registration order, and saved scenes refer to elements by index,
+ * so new elements must be registered after all existing ones.
+ */
+function registerElement(spec) {
+  const entry = {};
+  for (const key in spec) {
+    if (!(key in __elementSpecDefaults))
+      throw 'Element "' + spec.name + '": unknown property "' + key + '"';
+  }
+  for (const key in __elementSpecDefaults) {
+    entry[key] = key in spec ? spec[key] : __elementSpecDefaults[key];
+  }
+
+  const rgb = entry.color;
+  if (!Array.isArray(rgb) || rgb.length !== 3)
+    throw 'Element "' + entry.name + '": color must be [r, g, b]';
+  if (__elementsInitialized)
+    throw "elements must be registered before initElements()";
+  entry.index = elementSpecs.length;
+  entry.color = elementColor(rgb[0], rgb[1], rgb[2], entry.index);
+
+  elementSpecs.push(entry);
+  return entry.color;
+}
+
+/* Returns the canonical name of an element color */
+function elementName(color) {
+  const spec = elementSpecs[elementIndex(color)];
+  return spec && spec.color === color ? spec.name : "unknown element";
+}
+
+/* Built from the registry by initElements() */
+var elements = null; /* element colors, by index */
+var NUM_ELEMENTS = 0;
+const elementActions = [];
+const RESTLESS_ELEMENTS = {};
+
+const BACKGROUND = registerElement({
+  name: "BACKGROUND",
+  color: [0, 0, 0],
+  action: BACKGROUND_ACTION,
+  menu: { order: 36, label: "ERASER", textColor: "rgb(200, 100, 200)" },
+});
+const WALL = registerElement({
+  name: "WALL",
+  color: [127, 127, 127],
+  action: WALL_ACTION,
+  heatCapacity: 4,
+  conductivity: 0.1,
+  paintable: true,
+  menu: { order: 0, textColor: "rgb(160, 160, 160)" },
+});
+const SAND = registerElement({
+  name: "SAND",
+  color: [223, 193, 99],
+  action: SAND_ACTION,
+  phase: PHASE_POWDER,
+  density: 1700,
+  sinksThrough: { WATER: 25, SALT_WATER: 25 },
+  spigot: true,
+  menu: { order: 1 },
+});
+const WATER = registerElement({
+  name: "WATER",
+  color: [0, 10, 255],
+  action: WATER_ACTION,
+  phase: PHASE_LIQUID,
+  density: 1000,
+  sinksThrough: { OIL: 25 },
+  heatCapacity: 4,
+  conductivity: 0.6,
+  spigot: true,
+  menu: { order: 2, textColor: "rgb(0, 130, 255)" },
+});
+const PLANT = registerElement({
+  name: "PLANT",
+  color: [0, 220, 0],
+  action: PLANT_ACTION,
+  restless: true,
+  paintable: true,
+  menu: { order: 3 },
+});
+const FIRE = registerElement({
+  name: "FIRE",
+  color: [255, 0, 10],
+  action: FIRE_ACTION,
+  heatCapacity: 1,
+  conductivity: 0.3,
+  temperature: 800,
+  heatSource: true,
+  restless: true,
+  paintable: true,
+  menu: { order: 4 },
+});
+const SALT = registerElement({
+  name: "SALT",
+  color: [253, 253, 253],
+  action: SALT_ACTION,
+  phase: PHASE_POWDER,
+  density: 2200,
+  sinksThrough: { SALT_WATER: 25 },
+  spigot: true,
+  menu: { order: 7 },
+});
+const SALT_WATER = registerElement({
+  name: "SALT_WATER",
+  color: [127, 175, 255],
+  action: SALT_WATER_ACTION,
+  phase: PHASE_LIQUID,
+  density: 1100,
+  sinksThrough: { WATER: 50 },
+  heatCapacity: 4,
+  conductivity: 0.6,
+});
+const OIL = registerElement({
+  name: "OIL",
+  color: [150, 60, 0],
+  action: OIL_ACTION,
+  phase: PHASE_LIQUID,
+  density: 850,
+  spigot: true,
+  menu: { order: 8 },
+});
+const SPOUT = registerElement({
+  name: "SPOUT",
+  color: [117, 189, 252],
+  action: SPOUT_ACTION,
+  heatCapacity: 4,
+  conductivity: 0.1,
+  restless: true,
+  paintable: true,
+  menu: { order: 5 },
+});
+const WELL = registerElement({
+  name: "WELL",
+  color: [131, 11, 28],
+  action: WELL_ACTION,
+  heatCapacity: 4,
+  conductivity: 0.1,
+  restless: true,
+  paintable: true,
+  menu: { order: 6, textColor: "rgb(158, 13, 33)" },
+});
+const TORCH = registerElement({
+  name: "TORCH",
+  color: [200, 5, 0],
+  action: TORCH_ACTION,
+  conductivity: 0.3,
+  temperature: 800,
+  heatSource: true,
+  restless: true,
+  menu: { order: 10 },
+});
+const GUNPOWDER = registerElement({
+  name: "GUNPOWDER",
+  color: [170, 170, 140],
+  action: GUNPOWDER_ACTION,
+  phase: PHASE_POWDER,
+  density: 1700,
+  heatCapacity: 1,
+  spigot: true,
+  menu: { order: 12 },
+});
+const WAX = registerElement({
+  name: "WAX",
+  color: [239, 225, 211],
+  action: WAX_ACTION,
+  paintable: true,
+  menu: { order: 9 },
+});
+const FALLING_WAX = registerElement({
+  name: "FALLING_WAX",
+  color: [240, 225, 211],
+  action: FALLING_WAX_ACTION,
+  phase: PHASE_POWDER,
+  density: 900,
+});
+const NITRO = registerElement({
+  name: "NITRO",
+  color: [0, 150, 26],
+  action: NITRO_ACTION,
+  phase: PHASE_LIQUID,
+  density: 1600,
+  sinksThrough: { OIL: 25, WATER: 25, SALT_WATER: 25, POLLEN: 25 },
+  spigot: true,
+  menu: { order: 14 },
+});
+const NAPALM = registerElement({
+  name: "NAPALM",
+  color: [220, 128, 70],
+  action: NAPALM_ACTION,
+  phase: PHASE_LIQUID,
+  density: 900,
+  spigot: true,
+  menu: { order: 13 },
+});
+const C4 = registerElement({
+  name: "C4",
+  color: [240, 230, 150],
+  action: C4_ACTION,
+  menu: { order: 15, label: "C-4" },
+});
+const CONCRETE = registerElement({
+  name: "CONCRETE",
+  color: [180, 180, 180],
+  action: CONCRETE_ACTION,
+  phase: PHASE_POWDER,
+  density: 2400,
+  sinksThrough: { WATER: 35, SALT_WATER: 35 },
+  restless: true,
+  spigot: true,
+  menu: { order: 20 },
+});
+const FUSE = registerElement({
+  name: "FUSE",
+  color: [219, 175, 199],
+  action: FUSE_ACTION,
+  menu: { order: 18 },
+});
+const ICE = registerElement({
+  name: "ICE",
+  color: [161, 232, 255],
+  action: ICE_ACTION,
+  heatCapacity: 4,
+  conductivity: 0.5,
+  temperature: -10,
+  restless: true,
+  paintable: true,
+  menu: { order: 11 },
+});
+const CHILLED_ICE = registerElement({
+  name: "CHILLED_ICE",
+  color: [20, 153, 220],
+  action: CHILLED_ICE_ACTION,
+  heatCapacity: 4,
+  conductivity: 0.5,
+  temperature: -50,
+  restless: true,
+});
+const LAVA = registerElement({
+  name: "LAVA",
+  color: [245, 110, 40],
+  action: LAVA_ACTION,
+  phase: PHASE_LIQUID,
+  density: 2600,
+  gasTight: true,
+  conductivity: 0.5,
+  temperature: 1200,
+  restless: true,
+  paintable: true,
+  spigot: true,
+  menu: { order: 16 },
+});
+const ROCK = registerElement({
+  name: "ROCK",
+  color: [68, 40, 8],
+  action: ROCK_ACTION,
+  phase: PHASE_POWDER,
+  density: 2700,
+  sinksThrough: { WATER: 95, OIL: 95, SALT_WATER: 95, LAVA: 20 },
+  conductivity: 0.4,
+  restless: true,
+  paintable: true,
+});
+const STEAM = registerElement({
+  name: "STEAM",
+  color: [195, 214, 235],
+  action: STEAM_ACTION,
+  phase: PHASE_GAS,
+  density: 0.6,
+  heatCapacity: 1,
+  conductivity: 0.1,
+  temperature: 110,
+  restless: true,
+});
+const CRYO = registerElement({
+  name: "CRYO",
+  color: [0, 213, 255],
+  action: CRYO_ACTION,
+  phase: PHASE_LIQUID,
+  density: 800,
+  heatCapacity: 1,
+  conductivity: 0.5,
+  temperature: -196,
+  restless: true,
+  spigot: true,
+  menu: { order: 17 },
+});
+const MYSTERY = registerElement({
+  name: "MYSTERY",
+  color: [162, 232, 196],
+  action: MYSTERY_ACTION,
+  phase: PHASE_POWDER,
+  density: 1500,
+  restless: true,
+  spigot: true,
+  menu: { order: 19, label: "???" },
+});
+const METHANE = registerElement({
+  name: "METHANE",
+  color: [140, 140, 140],
+  action: METHANE_ACTION,
+  phase: PHASE_GAS,
+  density: 0.7,
+  menu: { order: 21 },
+});
+const SOIL = registerElement({
+  name: "SOIL",
+  color: [120, 75, 33],
+  action: SOIL_ACTION,
+  phase: PHASE_POWDER,
+  density: 1300,
+  sinksThrough: { WATER: 50, SALT_WATER: 50, POLLEN: 50 },
+  menu: { order: 22, textColor: "rgb(171, 110, 53)" },
+});
+const WET_SOIL = registerElement({
+  name: "WET_SOIL",
+  color: [70, 35, 10],
+  action: WET_SOIL_ACTION,
+  phase: PHASE_POWDER,
+  density: 1500,
+  sinksThrough: { WATER: 50, SALT_WATER: 50 },
+  heatCapacity: 4,
+  conductivity: 0.4,
+  restless: true,
+});
+const BRANCH = registerElement({
+  name: "BRANCH",
+  color: [166, 128, 100],
+  action: BRANCH_ACTION,
+  restless: true,
+  paintable: true,
+});
+const LEAF = registerElement({
+  name: "LEAF",
+  color: [82, 107, 45],
+  action: LEAF_ACTION,
+  restless: true,
+  paintable: true,
+});
+const POLLEN = registerElement({
+  name: "POLLEN",
+  color: [230, 235, 110],
+  action: POLLEN_ACTION,
+  phase: PHASE_POWDER,
+  density: 500,
+});
+const CHARGED_NITRO = registerElement({
+  name: "CHARGED_NITRO",
+  color: [245, 98, 78],
+  action: CHARGED_NITRO_ACTION,
+  phase: PHASE_LIQUID,
+  density: 1650,
+  sinksThrough: { SOIL: 25, WET_SOIL: 25, NITRO: 25, POLLEN: 25 },
+});
+const ACID = registerElement({
+  name: "ACID",
+  color: [157, 240, 40],
+  action: ACID_ACTION,
+  phase: PHASE_LIQUID,
+  density: 1200,
+  sinksThrough: { WATER: 25, SALT_WATER: 25 },
+  restless: true,
+  spigot: true,
+  menu: { order: 23 },
+});
+const THERMITE = registerElement({
+  name: "THERMITE",
+  color: [195, 140, 70],
+  action: THERMITE_ACTION,
+  phase: PHASE_POWDER,
+  density: 4000,
+  sinksThrough: { WATER: 95, SALT_WATER: 95, OIL: 95 },
+  gasTight: true,
+  menu: { order: 24 },
+});
+const BURNING_THERMITE = registerElement({
+  name: "BURNING_THERMITE",
+  color: [255, 130, 130],
+  action: BURNING_THERMITE_ACTION,
+  phase: PHASE_POWDER,
+  density: 4000,
+  sinksThrough: { WATER: 95, SALT_WATER: 95, OIL: 95 },
+  gasTight: true,
+  heatCapacity: 1,
+  conductivity: 0.5,
+  temperature: 2500,
+  restless: true,
+});
+const ZOMBIE = registerElement({
+  name: "ZOMBIE",
+  color: [236, 223, 245],
+  action: ZOMBIE_ACTION,
+  restless: true,
+  menu: { order: 37, label: "HAND" },
+});
+const ZOMBIE_WET = registerElement({
+  name: "ZOMBIE_WET",
+  color: [236, 223, 245],
+  action: ZOMBIE_WET_ACTION,
+  restless: true,
+});
+const ZOMBIE_BURNING = registerElement({
+  name: "ZOMBIE_BURNING",
+  color: [250, 130, 130],
+  action: ZOMBIE_BURNING_ACTION,
+  restless: true,
+});
+const ZOMBIE_FROZEN = registerElement({
+  name: "ZOMBIE_FROZEN",
+  color: [190, 190, 250],
+  action: ZOMBIE_FROZEN_ACTION,
+  restless: true,
+});
+const FAN_LEFT = registerElement({
+  name: "FAN_LEFT",
+  color: [120, 170, 200],
+  action: FAN_LEFT_ACTION,
+  restless: true,
+  menu: { order: 25, label: "< FAN" },
+});
+const FAN_RIGHT = registerElement({
+  name: "FAN_RIGHT",
+  color: [120, 170, 200],
+  action: FAN_RIGHT_ACTION,
+  restless: true,
+  menu: { order: 26, label: "FAN >" },
+});
+const BATTERY = registerElement({
+  name: "BATTERY",
+  color: [90, 200, 90],
+  action: BATTERY_ACTION,
+  restless: true,
+  menu: { order: 27 },
+});
+const WIRE = registerElement({
+  name: "WIRE",
+  color: [200, 120, 60],
+  action: WIRE_ACTION,
+  conductivity: 0.9,
+  menu: { order: 28 },
+});
+const SPARK = registerElement({
+  name: "SPARK",
+  color: [255, 255, 170],
+  action: SPARK_ACTION,
+  conductivity: 0.9,
+  restless: true,
+});
+const SPARK_COOLDOWN = registerElement({
+  name: "SPARK_COOLDOWN",
+  color: [230, 160, 90],
+  action: SPARK_COOLDOWN_ACTION,
+  conductivity: 0.9,
+  restless: true,
+});
+const INSULATOR = registerElement({
+  name: "INSULATOR",
+  color: [70, 60, 90],
+  action: INSULATOR_ACTION,
+  conductivity: 0.02,
+  menu: { order: 29, textColor: "rgb(140, 120, 180)" },
+});
+const SWITCH_OFF = registerElement({
+  name: "SWITCH_OFF",
+  color: [130, 50, 50],
+  action: SWITCH_OFF_ACTION,
+  menu: { order: 30, label: "SWITCH", textColor: "rgb(210, 90, 90)" },
+});
+const SWITCH_ON = registerElement({
+  name: "SWITCH_ON",
+  color: [150, 240, 110],
+  action: SWITCH_ON_ACTION,
+  restless: true,
+});
+const SENSOR = registerElement({
+  name: "SENSOR",
+  color: [240, 200, 130],
+  action: SENSOR_ACTION,
+  menu: { order: 31 },
+});
+const AND_GATE = registerElement({
+  name: "AND_GATE",
+  color: [230, 200, 70],
+  action: AND_GATE_ACTION,
+  menu: { order: 32, label: "AND" },
+});
+const OR_GATE = registerElement({
+  name: "OR_GATE",
+  color: [90, 200, 220],
+  action: OR_GATE_ACTION,
+  menu: { order: 33, label: "OR" },
+});
+const NOT_GATE = registerElement({
+  name: "NOT_GATE",
+  color: [220, 90, 160],
+  action: NOT_GATE_ACTION,
+  menu: { order: 34, label: "NOT" },
+});
+const DELAY = registerElement({
+  name: "DELAY",
+  color: [160, 140, 230],
+  action: DELAY_ACTION,
+  menu: { order: 35 },
+});
 
-    if (color in colors) throw "duplicate color";
+/*
+ * Check the registered specs for mistakes, throwing a description of the first
+ * one found. Elements that look alike (such as the two fans) may share an RGB
+ * color; their colors still differ in the bits that encode the index.
+ */
+function validateElementSpecs(specs) {
+  if (specs.length > MAX_ELEMENTS)
+    throw (
+      "Too many elements: " +
+      specs.length +
+      " (we only use 9 bits for the element index)"
+    );
+
+  const names = {};
+  const menuOrders = {};
+  for (var i = 0; i !== specs.length; i++) {
+    const spec = specs[i];
+    const name = spec.name;
+    const color = spec.color;
+
+    if (!/^[A-Z][A-Z0-9_]*$/.test(name))
+      throw "Element " + i + ': invalid name "' + name + '"';
+    if (name in names)
+      throw 'Element "' + name + '" is registered more than once';
+    names[name] = spec;
+
+    if (typeof spec.action !== "function")
+      throw 'Element "' + name + '": missing action function';
+
+    if (spec.phase < PHASE_STATIC || spec.phase > PHASE_GAS)
+      throw 'Element "' + name + '": invalid phase';
+    if (spec.phase !== PHASE_STATIC && !(spec.density > 0))
+      throw 'Element "' + name + '": non-static elements need a density';
+
+    if (elementIndex(color) !== i || color >>> 24 !== 0xff)
+      throw 'Element "' + name + '": color does not encode its index';
+
+    const menu = spec.menu;
+    if (menu) {
+      if (typeof menu.order !== "number")
+        throw 'Element "' + name + '": menu needs an order';
+      if (menu.order in menuOrders)
+        throw (
+          'Elements "' +
+          menuOrders[menu.order] +
+          '" and "' +
+          name +
+          '" have the same menu order'
+        );
+      menuOrders[menu.order] = name;
+    }
+  }
 
-    if (color >>> 24 !== 0xff) {
-      console.log(color, i);
-      throw "alpha must be set to 0xff";
+  /* Elements may sink through ones registered after them */
+  for (i = 0; i !== specs.length; i++) {
+    const spec = specs[i];
+    for (const otherName in spec.sinksThrough) {
+      const where =
+        'Element "' + spec.name + '": sinksThrough "' + otherName + '"';
+      const other = names[otherName];
+      if (!other) throw where + " is not an element";
+      if (!(other.density < spec.density)) throw where + " is not lighter";
+      const chance = spec.sinksThrough[otherName];
+      if (!(chance > 0 && chance <= 100))
+        throw where + ": chance must be in (0, 100]";
     }
+  }
+}
 
-    colors[color] = null;
+function initElements() {
+  validateElementSpecs(elementSpecs);
+
+  NUM_ELEMENTS = elementSpecs.length;
+  elements = new Uint32Array(NUM_ELEMENTS);
+  for (var i = 0; i !== NUM_ELEMENTS; i++) {
+    const spec = elementSpecs[i];
+    elements[i] = spec.color;
+    elementActions.push(spec.action);
+    if (spec.restless) RESTLESS_ELEMENTS[spec.color] = null;
   }
 
-  /*
-   * Add any gas-permeable elements here (ie. to allow steam etc. to pass
-   * through).
-   */
-  GAS_PERMEABLE[SAND] = null;
-  GAS_PERMEABLE[WATER] = null;
-  GAS_PERMEABLE[SALT] = null;
-  GAS_PERMEABLE[SALT_WATER] = null;
-  GAS_PERMEABLE[OIL] = null;
-  GAS_PERMEABLE[GUNPOWDER] = null;
-  GAS_PERMEABLE[FALLING_WAX] = null;
-  GAS_PERMEABLE[NITRO] = null;
-  GAS_PERMEABLE[NAPALM] = null;
-  GAS_PERMEABLE[CONCRETE] = null;
-  GAS_PERMEABLE[ROCK] = null;
-  GAS_PERMEABLE[CRYO] = null;
-  GAS_PERMEABLE[MYSTERY] = null;
-  GAS_PERMEABLE[SOIL] = null;
-  GAS_PERMEABLE[WET_SOIL] = null;
-  GAS_PERMEABLE[POLLEN] = null;
-  GAS_PERMEABLE[CHARGED_NITRO] = null;
-  GAS_PERMEABLE[ACID] = null;
-  Object.freeze(GAS_PERMEABLE);
+  Object.freeze(elementActions);
+  Object.freeze(RESTLESS_ELEMENTS);
+  __initDensityTable();
+  __elementsInitialized = true;
 }
 
 /* ======================= Element action handlers ======================= */
@@ -285,8 +767,7 @@ function BACKGROUND_ACTION(x, y, i) {
 function SAND_ACTION(x, y, i) {
   /* Optimize for common case; can't sink through sand */
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== SAND) {
-    if (doDensitySink(x, y, i, WATER, true, 25)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 25)) return;
+    if (doDensity(x, y, i, true, 25, 0)) return;
   }
 
   if (doGravity(x, y, i, true, 95)) return;
@@ -294,19 +775,11 @@ function SAND_ACTION(x, y, i) {
 
 function WATER_ACTION(x, y, i) {
   if (doGravity(x, y, i, true, 95)) return;
-  if (doDensityLiquid(x, y, i, OIL, 25, 50)) return;
+  if (doDensity(x, y, i, true, 25, 50)) return;
 }
 
 function PLANT_ACTION(x, y, i) {
   doGrow(x, y, i, WATER, 50);
-
-  if (random() < 5) {
-    const saltLoc = bordering(x, y, i, SALT);
-    if (saltLoc !== -1) {
-      gameImagedata32[i] = BACKGROUND;
-      return;
-    }
-  }
 }
 
 function FIRE_ACTION(x, y, i) {
@@ -414,9 +887,9 @@ function FIRE_ACTION(x, y, i) {
     }
   }
 
-  /* rising fire */
+  /* rising fire, which leans with the wind */
   if (random() < 50) {
-    const riseLoc = above(y, i, BACKGROUND);
+    const riseLoc = above(y, downwind(x, i), BACKGROUND);
     if (riseLoc !== -1) {
       gameImagedata32[riseLoc] = FIRE;
       return;
@@ -426,13 +899,12 @@ function FIRE_ACTION(x, y, i) {
 
 function SALT_ACTION(x, y, i) {
   if (doGravity(x, y, i, true, 95)) return;
-  if (doTransform(x, y, i, WATER, SALT_WATER, 25, 50)) return;
-  if (doDensitySink(x, y, i, SALT_WATER, true, 25)) return;
+  if (doDensity(x, y, i, true, 25, 0)) return;
 }
 
 function SALT_WATER_ACTION(x, y, i) {
   if (doGravity(x, y, i, true, 95)) return;
-  if (doDensityLiquid(x, y, i, WATER, 50, 50)) return;
+  if (doDensity(x, y, i, true, 50, 50)) return;
 }
 
 function OIL_ACTION(x, y, i) {
@@ -444,6 +916,7 @@ function OIL_ACTION(x, y, i) {
   }
 
   if (doGravity(x, y, i, true, 95)) return;
+  if (doDensity(x, y, i, true, 25, 50)) return;
 }
 
 function SPOUT_ACTION(x, y, i) {
@@ -498,6 +971,7 @@ function NITRO_ACTION(x, y, i) {
   if (borderingAdjacent(x, y, i, FIRE) !== -1) {
     if (random() < 30) {
       if (!particles.addActiveParticle(NITRO_PARTICLE, x, y, i)) return;
+      addBlast(x, y, NITRO_BLAST_RADIUS, NITRO_BLAST_STRENGTH);
       __doBorderBurn(x, y, i);
       return;
     } else if (random() < 20) {
@@ -507,10 +981,7 @@ function NITRO_ACTION(x, y, i) {
   }
 
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== NITRO) {
-    if (doDensitySink(x, y, i, OIL, true, 25)) return;
-    if (doDensitySink(x, y, i, WATER, true, 25)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 25)) return;
-    if (doDensitySink(x, y, i, POLLEN, true, 25)) return;
+    if (doDensity(x, y, i, true, 25, 0)) return;
   }
 }
 
@@ -523,6 +994,7 @@ function NAPALM_ACTION(x, y, i) {
   }
 
   if (doGravity(x, y, i, true, 95)) return;
+  if (doDensity(x, y, i, true, 25, 50)) return;
 }
 
 function C4_ACTION(x, y, i) {
@@ -536,8 +1008,7 @@ function C4_ACTION(x, y, i) {
 
 function CONCRETE_ACTION(x, y, i) {
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== CONCRETE) {
-    if (doDensitySink(x, y, i, WATER, true, 35)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 35)) return;
+    if (doDensity(x, y, i, true, 35, 0)) return;
   }
 
   /*
@@ -577,16 +1048,6 @@ function ICE_ACTION(x, y, i) {
     }
   }
 
-  /* Really fast melt from STEAM */
-  if (random() < 70) {
-    const steamLoc = bordering(x, y, i, STEAM);
-    if (steamLoc !== -1) {
-      gameImagedata32[i] = WATER;
-      if (random() < 50) gameImagedata32[steamLoc] = WATER;
-      return;
-    }
-  }
-
   /* Fast melt from SALT and SALT_WATER */
   if (random() < 10) {
     var saltLoc = bordering(x, y, i, SALT);
@@ -598,21 +1059,7 @@ function ICE_ACTION(x, y, i) {
     }
   }
 
-  /* Fast melt from FIRE */
-  if (random() < 50) {
-    if (bordering(x, y, i, FIRE) !== -1) {
-      gameImagedata32[i] = WATER;
-      return;
-    }
-  }
-
-  /* Fast melt from LAVA */
-  if (random() < 50) {
-    if (bordering(x, y, i, LAVA) !== -1) {
-      gameImagedata32[i] = WATER;
-      return;
-    }
-  }
+  /* Heat (ie. from FIRE, LAVA, or STEAM) melts it; see temperature.js */
 }
 
 function CHILLED_ICE_ACTION(x, y, i) {
@@ -696,13 +1143,10 @@ function LAVA_ACTION(x, y, i) {
    * DO NOT ADD ANYTHING IN HERE THAT CHECKS CORNER PIXELS.
    */
   if (!skipDirectAdjacent) {
-    var waterLoc = bordering(x, y, i, WATER);
-    if (waterLoc === -1) waterLoc = bordering(x, y, i, SALT_WATER);
-    if (waterLoc !== -1) {
-      gameImagedata32[waterLoc] = STEAM;
-      gameImagedata32[i] = ROCK;
-      return;
-    }
+    /*
+     * Water boils into STEAM, and LAVA cools into ROCK, as heat flows between
+     * them (see temperature.js).
+     */
 
     if (random() < 4) {
       const numLavaParticles = particles.particleCounts[LAVA_PARTICLE];
@@ -774,10 +1218,7 @@ function LAVA_ACTION(x, y, i) {
 
 function ROCK_ACTION(x, y, i) {
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== ROCK) {
-    if (doDensitySink(x, y, i, WATER, false, 95)) return;
-    if (doDensitySink(x, y, i, OIL, false, 95)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, false, 95)) return;
-    if (doDensitySink(x, y, i, LAVA, false, 20)) return;
+    if (doDensity(x, y, i, false, 95, 0)) return;
   }
 
   if (doGravity(x, y, i, false, 99)) return;
@@ -794,33 +1235,11 @@ function ROCK_ACTION(x, y, i) {
 }
 
 function STEAM_ACTION(x, y, i) {
+  if (doWind(x, y, i)) return;
   if (doDensityGas(x, y, i, 70)) return;
   if (doRise(x, y, i, 70, 60)) return;
 
-  /* condense due to water */
-  if (random() < 5) {
-    if (bordering(x, y, i, WATER) !== -1) {
-      gameImagedata32[i] = WATER;
-      return;
-    }
-  }
-
-  /* condense/disappear due to air cooling */
-  if (random() < 5 && random() < 40) {
-    if (below(y, i, BACKGROUND) !== -1 && above(y, i, BACKGROUND) === -1) {
-      if (random() < 30) gameImagedata32[i] = WATER;
-      else gameImagedata32[i] = BACKGROUND;
-      return;
-    }
-  }
-
-  /* condense due to spout */
-  if (random() < 5) {
-    if (bordering(x, y, i, SPOUT) !== -1) {
-      gameImagedata32[i] = WATER;
-      return;
-    }
-  }
+  /* Cooling condenses it; see temperature.js */
 
   /* steam may be trapped; disappear slowly */
   if (random() < 1 && random() < 5) {
@@ -881,6 +1300,7 @@ function CRYO_ACTION(x, y, i) {
   }
 
   if (doGravity(x, y, i, true, 95)) return;
+  if (doDensity(x, y, i, true, 25, 50)) return;
 
   /* Freeze even if there are no nearby freezable surfaces */
   if (random() < 1 && random() < 50) {
@@ -931,7 +1351,7 @@ function MYSTERY_ACTION(x, y, i) {
         continue;
       }
 
-      const swapIdx = Math.floor(Math.random() * idx);
+      const swapIdx = Math.floor(randomFloat() * idx);
       const swapElem = gameImagedata32[swapIdx];
 
       if (swapElem === WALL || swapElem === FIRE || swapElem === MYSTERY)
@@ -958,6 +1378,8 @@ function METHANE_ACTION(x, y, i) {
     return;
   }
 
+  if (doWind(x, y, i)) return;
+
   /* methane is less dense than air */
   if (doRise(x, y, i, 25, 65)) return;
 
@@ -969,13 +1391,9 @@ function SOIL_ACTION(x, y, i) {
 
   /* Optimize for common case; can't sink through SOIL */
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== SOIL) {
-    if (doDensitySink(x, y, i, WATER, true, 50)) return;
-    if (doDensitySink(x, y, i, SALT_WATER, true, 50)) return;
-    if (doDensitySink(x, y, i, POLLEN, true, 50)) return;
+    if (doDensity(x, y, i, true, 50, 0)) return;
   }
 
-  if (doTransform(x, y, i, NITRO, CHARGED_NITRO, 25, 100)) return;
-
   if (random() < 15) {
     const waterLoc = aboveAdjacent(x, y, i, WATER);
     if (waterLoc !== -1) {
@@ -995,8 +1413,7 @@ function WET_SOIL_ACTION(x, y, i) {
   }
 
   if (doGravity(x, y, i, false, 99)) return;
-  if (doDensitySink(x, y, i, WATER, true, 50)) return;
-  if (doDensitySink(x, y, i, SALT_WATER, true, 50)) return;
+  if (doDensity(x, y, i, true, 50, 0)) return;
 
   if (random() < 5) {
     if (random() < 97) {
@@ -1019,33 +1436,14 @@ function WET_SOIL_ACTION(x, y, i) {
   }
 }
 
-function BRANCH_ACTION(x, y, i) {
-  if (random() < 3) {
-    if (borderingAdjacent(x, y, i, FIRE) !== -1) {
-      gameImagedata32[i] = FIRE;
-    }
-  }
-}
+function BRANCH_ACTION(x, y, i) {}
 
 function LEAF_ACTION(x, y, i) {
-  if (random() < 5) {
-    if (borderingAdjacent(x, y, i, FIRE) !== -1) {
-      gameImagedata32[i] = FIRE;
-    }
-  }
-
-  if (random() < 20) {
-    const saltLoc = borderingAdjacent(x, y, i, SALT);
-    if (saltLoc !== -1) {
-      gameImagedata32[i] = BACKGROUND;
-      return;
-    }
-  }
-
   if (random() < 1 && random() < 9) doProducer(x, y, i, POLLEN, false, 100);
 }
 
 function POLLEN_ACTION(x, y, i) {
+  if (doWind(x, y, i)) return;
   if (doGravity(x, y, i, true, 95)) return;
 }
 
@@ -1053,10 +1451,7 @@ function CHARGED_NITRO_ACTION(x, y, i) {
   if (doGravity(x, y, i, true, 95)) return;
 
   if (y !== MAX_Y_IDX && uniformBelowAdjacent(x, y, i) !== CHARGED_NITRO) {
-    if (doDensitySink(x, y, i, SOIL, true, 25)) return;
-    if (doDensitySink(x, y, i, WET_SOIL, true, 25)) return;
-    if (doDensitySink(x, y, i, NITRO, true, 25)) return;
-    if (doDensitySink(x, y, i, POLLEN, true, 25)) return;
+    if (doDensity(x, y, i, true, 25, 0)) return;
   }
 
   if (borderingAdjacent(x, y, i, FIRE) !== -1) {
@@ -1127,8 +1522,7 @@ function ACID_ACTION(x, y, i) {
     }
   }
 
-  if (doDensityLiquid(x, y, i, WATER, 25, 30)) return;
-  if (doDensityLiquid(x, y, i, SALT_WATER, 25, 30)) return;
+  if (doDensity(x, y, i, true, 25, 30)) return;
 
   if (doGravity(x, y, i, true, 100)) return;
 }
@@ -1144,9 +1538,7 @@ function THERMITE_ACTION(x, y, i) {
     }
   }
 
-  if (doDensitySink(x, y, i, WATER, false, 95)) return;
-  if (doDensitySink(x, y, i, SALT_WATER, false, 95)) return;
-  if (doDensitySink(x, y, i, OIL, false, 95)) return;
+  if (doDensity(x, y, i, false, 95, 0)) return;
 
   if (doGravity(x, y, i, false, 99)) return;
 }
@@ -1202,9 +1594,7 @@ function BURNING_THERMITE_ACTION(x, y, i) {
     gameImagedata32[belowFire] = BACKGROUND;
   if (doGravity(x, y, i, false, 99)) return;
 
-  if (doDensitySink(x, y, i, WATER, false, 95)) return;
-  if (doDensitySink(x, y, i, SALT_WATER, false, 95)) return;
-  if (doDensitySink(x, y, i, OIL, false, 95)) return;
+  if (doDensity(x, y, i, false, 95, 0)) return;
 }
 
 function ZOMBIE_ACTION(x, y, i) {
@@ -1262,6 +1652,58 @@ function ZOMBIE_FROZEN_ACTION(x, y, i) {
   gameImagedata32[i] = BACKGROUND;
 }
 
+/* Fans blow wind along their row; see wind.js */
+function FAN_LEFT_ACTION(x, y, i) {
+  blowFan(x, y, i, -1);
+}
+
+function FAN_RIGHT_ACTION(x, y, i) {
+  blowFan(x, y, i, 1);
+}
+
+/* Electricity runs along WIRE as SPARK; see electricity.js */
+function BATTERY_ACTION(x, y, i) {
+  doBattery(x, y, i);
+}
+
+function WIRE_ACTION(x, y, i) {}
+
+function SPARK_ACTION(x, y, i) {
+  doSpark(x, y, i);
+}
+
+function SPARK_COOLDOWN_ACTION(x, y, i) {
+  doSparkCooldown(x, y, i);
+}
+
+function INSULATOR_ACTION(x, y, i) {}
+
+function SWITCH_OFF_ACTION(x, y, i) {}
+
+function SWITCH_ON_ACTION(x, y, i) {
+  doBattery(x, y, i);
+}
+
+function SENSOR_ACTION(x, y, i) {
+  doSensor(x, y, i);
+}
+
+function AND_GATE_ACTION(x, y, i) {
+  doAndGate(x, y, i);
+}
+
+function OR_GATE_ACTION(x, y, i) {
+  doOrGate(x, y, i);
+}
+
+function NOT_GATE_ACTION(x, y, i) {
+  doNotGate(x, y, i);
+}
+
+function DELAY_ACTION(x, y, i) {
+  doDelay(x, y, i);
+}
+
 /*  =============================== Helpers =============================== */
 
 function __pickRandValid(a, b) {
@@ -1478,6 +1920,7 @@ function doGravity(x, y, i, fallAdjacent, chance) {
   if (newI !== -1) {
     gameImagedata32[newI] = gameImagedata32[i];
     gameImagedata32[i] = BACKGROUND;
+    swapTemperature(i, newI);
     return true;
   }
 
@@ -1508,42 +1951,195 @@ function doRise(x, y, i, riseChance, adjacentChance) {
   if (newI !== -1) {
     gameImagedata32[newI] = gameImagedata32[i];
     gameImagedata32[i] = BACKGROUND;
+    swapTemperature(i, newI);
     return true;
   }
 
   return false;
 }
 
-/* Sink the current solid element if it is on top of heavierThan */
-function doDensitySink(x, y, i, heavierThan, sinkAdjacent, chance) {
-  if (random() >= chance) return false;
+/*
+ * Density. An element sinks through a lighter one below it if
+ *   - its spec lists the lighter one in sinksThrough, or
+ *   - both are liquids.
+ * Liquids also spread sideways through lighter liquids, so that they settle
+ * into layers. Powders only sink through what they list; otherwise piles of
+ * different powders wouldn't stay put, and what sinks through water would
+ * change (ie. SALT dissolves on top of it). Static elements never move, and
+ * are never moved.
+ *
+ * Gases rise through any powder or liquid that isn't gasTight (see
+ * doDensityGas()).
+ *
+ * The listed pairs are compiled into flat arrays, indexed by the sinking
+ * element, like the reactions (see reactions.js). The rest are precomputed for
+ * every pair of elements, since these checks happen for most moving pixels
+ * every frame.
+ */
+const __DENSITY_SINK = 1;
+const __DENSITY_SPREAD = 2;
+const __DENSITY_GAS = 4;
 
-  if (y === MAX_Y_IDX) return false;
+/* Flags for [sinking element index * NUM_ELEMENTS + other element index] */
+var __densityTable = null;
 
-  var newI;
-  if (sinkAdjacent) newI = belowAdjacent(x, y, i, heavierThan);
-  else newI = below(y, i, heavierThan);
+/*
+ * Listed pairs. Those of the element with index e are at positions
+ * [__densityStart[e], __densityEnd[e]) of the other arrays.
+ */
+var __densityStart = null;
+var __densityEnd = null;
+var __densityOther = null;
+var __densityChance = null;
+var __densityCanSpread = null; /* 1 if both elements are liquids */
+
+function __initDensityTable() {
+  __densityTable = new Uint8Array(NUM_ELEMENTS * NUM_ELEMENTS);
+  __densityStart = new Uint16Array(NUM_ELEMENTS);
+  __densityEnd = new Uint16Array(NUM_ELEMENTS);
+  const specsByName = {};
+  for (var e = 0; e !== NUM_ELEMENTS; e++)
+    specsByName[elementSpecs[e].name] = elementSpecs[e];
+  const others = [];
+  const chances = [];
+  const canSpread = [];
+
+  for (var a = 0; a !== NUM_ELEMENTS; a++) {
+    const sinker = elementSpecs[a];
+    __densityStart[a] = others.length;
+    if (sinker.phase !== PHASE_POWDER && sinker.phase !== PHASE_LIQUID) {
+      __densityEnd[a] = others.length;
+      continue;
+    }
 
-  if (newI === -1) return false;
+    const listed = {};
+    for (const name in sinker.sinksThrough) {
+      const other = specsByName[name];
+      listed[other.index] = null;
+      others.push(other.color);
+      chances.push(sinker.sinksThrough[name]);
+      canSpread.push(
+        sinker.phase === PHASE_LIQUID && other.phase === PHASE_LIQUID ? 1 : 0
+      );
+    }
+    __densityEnd[a] = others.length;
 
-  gameImagedata32[newI] = gameImagedata32[i];
-  gameImagedata32[i] = heavierThan;
-  return true;
+    for (var b = 0; b !== NUM_ELEMENTS; b++) {
+      const other = elementSpecs[b];
+      if (other.phase === PHASE_STATIC || other.density >= sinker.density)
+        continue;
+
+      var flags = 0;
+      if (other.phase === PHASE_GAS) {
+        if (!sinker.gasTight) flags |= __DENSITY_GAS;
+      } else if (
+        sinker.phase === PHASE_LIQUID &&
+        other.phase === PHASE_LIQUID &&
+        !(b in listed)
+      ) {
+        flags |= __DENSITY_SINK | __DENSITY_SPREAD;
+      }
+      __densityTable[a * NUM_ELEMENTS + b] = flags;
+    }
+  }
+
+  __densityOther = new Uint32Array(others);
+  __densityChance = new Float64Array(chances);
+  __densityCanSpread = new Uint8Array(canSpread);
 }
 
-/* Sink the current liquid element if it is on top of heavierThan */
-function doDensityLiquid(x, y, i, heavierThan, sinkChance, equalizeChance) {
+/* Whether gases rise through elem (see "Density", above) */
+function __gasPermeable(elem, gas) {
+  return (
+    (__densityTable[elementIndex(elem) * NUM_ELEMENTS + elementIndex(gas)] &
+      __DENSITY_GAS) !==
+    0
+  );
+}
+
+/*
+ * Sink the current element through a lighter one below it (including
+ * diagonally, if sinkAdjacent). Failing that, a liquid spreads sideways
+ * through a lighter liquid with chance spreadChance.
+ *
+ * The pairs listed in sinksThrough are tried first, in order, each rolling its
+ * own chance before looking for the other element. A liquid then sinks through
+ * any other lighter liquid with chance sinkChance. That chance is only rolled
+ * once such a liquid is found, so that the listed pairs see the same random
+ * numbers whether or not there are other pairs.
+ */
+function doDensity(x, y, i, sinkAdjacent, sinkChance, spreadChance) {
+  const elemIdx = elementIndex(gameImagedata32[i]);
   var newI = -1;
 
-  if (random() < sinkChance) newI = belowAdjacent(x, y, i, heavierThan);
+  const end = __densityEnd[elemIdx];
+  for (var k = __densityStart[elemIdx]; k !== end; k++) {
+    const other = __densityOther[k];
+    if (random() < __densityChance[k]) {
+      if (sinkAdjacent) newI = belowAdjacent(x, y, i, other);
+      else newI = below(y, i, other);
+    }
+    if (
+      newI === -1 &&
+      spreadChance !== 0 &&
+      __densityCanSpread[k] &&
+      random() < spreadChance
+    )
+      newI = adjacent(x, i, other);
+    if (newI !== -1) return __densitySwap(i, newI);
+  }
+
+  const row = elemIdx * NUM_ELEMENTS;
+  const table = __densityTable;
 
-  if (newI === -1 && random() < equalizeChance)
-    newI = adjacent(x, i, heavierThan);
+  if (y !== MAX_Y_IDX) {
+    const belowSpot = i + width;
+    if (table[row + elementIndex(gameImagedata32[belowSpot])] & __DENSITY_SINK)
+      newI = belowSpot;
+    else if (sinkAdjacent) {
+      const belowLeftSpot = belowSpot - 1;
+      const belowRightSpot = belowSpot + 1;
+      newI = __pickRandValid(
+        x !== 0 &&
+          table[row + elementIndex(gameImagedata32[belowLeftSpot])] &
+            __DENSITY_SINK
+          ? belowLeftSpot
+          : -1,
+        x !== MAX_X_IDX &&
+          table[row + elementIndex(gameImagedata32[belowRightSpot])] &
+            __DENSITY_SINK
+          ? belowRightSpot
+          : -1
+      );
+    }
+    if (newI !== -1 && random() >= sinkChance) newI = -1;
+  }
+
+  if (newI === -1 && spreadChance !== 0) {
+    const leftSpot = i - 1;
+    const rightSpot = i + 1;
+    newI = __pickRandValid(
+      x !== 0 &&
+        table[row + elementIndex(gameImagedata32[leftSpot])] & __DENSITY_SPREAD
+        ? leftSpot
+        : -1,
+      x !== MAX_X_IDX &&
+        table[row + elementIndex(gameImagedata32[rightSpot])] & __DENSITY_SPREAD
+        ? rightSpot
+        : -1
+    );
+    if (newI !== -1 && random() >= spreadChance) newI = -1;
+  }
 
   if (newI === -1) return false;
+  return __densitySwap(i, newI);
+}
 
-  gameImagedata32[newI] = gameImagedata32[i];
-  gameImagedata32[i] = heavierThan;
+function __densitySwap(i, newI) {
+  const elem = gameImagedata32[i];
+  gameImagedata32[i] = gameImagedata32[newI];
+  gameImagedata32[newI] = elem;
+  swapTemperature(i, newI);
   return true;
 }
 
@@ -1572,6 +2168,8 @@ function __doGunpowderExplosion(x, y, i) {
   const isNotLeftmost = x !== 0;
   const isNotRightmost = x !== MAX_X_IDX;
 
+  if (burn) addBlast(x, y, GUNPOWDER_BLAST_RADIUS, GUNPOWDER_BLAST_STRENGTH);
+
   gameImagedata32[i] = replace;
   if (y !== 0) {
     const up = i - width;
@@ -1617,26 +2215,6 @@ function __doGunpowderExplosion(x, y, i) {
   }
 }
 
-function doTransform(
-  x,
-  y,
-  i,
-  transformBy,
-  transformInto,
-  transformChance,
-  consumeChance
-) {
-  const rand = random();
-  if (rand >= transformChance) return false;
-
-  const transformLoc = bordering(x, y, i, transformBy);
-  if (transformLoc === -1) return false;
-
-  gameImagedata32[i] = transformInto;
-  if (rand < consumeChance) gameImagedata32[transformLoc] = transformInto;
-  return true;
-}
-
 function doProducer(x, y, i, produce, overwriteAdjacent, chance) {
   if (random() >= chance) return false;
 
@@ -1678,14 +2256,7 @@ function uniformBelowAdjacent(x, y, i) {
   return belowElem;
 }
 
-function gasPermeable(elem) {
-  /* optimize for common case */
-  if (elem === BACKGROUND || elem === STEAM || elem === METHANE) return false;
-
-  return elem in GAS_PERMEABLE;
-}
-
-/* allow elements to fall through/displace gas elements */
+/* allow heavier elements to fall through/displace gas elements */
 function doDensityGas(x, y, i, chance) {
   if (random() >= chance) return false;
 
@@ -1698,7 +2269,7 @@ function doDensityGas(x, y, i, chance) {
   const aboveLeft = aboveSpot - 1;
   const aboveRight = aboveSpot + 1;
   const aboveElem = gameImagedata32[aboveSpot];
-  if (gasPermeable(aboveElem)) swapSpot = aboveSpot;
+  if (__gasPermeable(aboveElem, gasElem)) swapSpot = aboveSpot;
   else {
     const aboveLeft = aboveSpot - 1;
     const aboveRight = aboveSpot + 1;
@@ -1709,16 +2280,21 @@ function doDensityGas(x, y, i, chance) {
 
     /*
      * This code is longer than usual in order to optimize to reduce the
-     * number of dictionary lookups performed.
+     * number of density lookups performed.
      */
 
-    if (aboveLeftElem !== aboveElem && gasPermeable(aboveLeftElem))
+    if (
+      aboveLeftElem !== aboveElem &&
+      aboveLeftElem !== -1 &&
+      __gasPermeable(aboveLeftElem, gasElem)
+    )
       swapAboveLeft = aboveLeft;
 
     if (aboveRightElem !== aboveElem) {
       if (swapAboveLeft !== -1 && aboveLeftElem === aboveRightElem)
         swapAboveRight = aboveRight;
-      else if (gasPermeable(aboveRightElem)) swapAboveRight = aboveRight;
+      else if (aboveRightElem !== -1 && __gasPermeable(aboveRightElem, gasElem))
+        swapAboveRight = aboveRight;
     }
 
     swapSpot = __pickRandValid(swapAboveLeft, swapAboveRight);
@@ -1730,11 +2306,17 @@ function doDensityGas(x, y, i, chance) {
    */
   if (swapSpot === -1 && x !== 0 && x !== MAX_X_IDX && y !== MAX_Y_IDX) {
     const leftElem = gameImagedata32[i - 1];
-    if (gasPermeable(leftElem) && gameImagedata32[i - 1 + width] !== gasElem) {
+    if (
+      __gasPermeable(leftElem, gasElem) &&
+      gameImagedata32[i - 1 + width] !== gasElem
+    ) {
       swapSpot = i - 1;
     } else {
       const rightElem = gameImagedata32[i + 1];
-      if (gasPermeable(rightElem) && gameImagedata32[i + 1 + width] !== gasElem)
+      if (
+        __gasPermeable(rightElem, gasElem) &&
+        gameImagedata32[i + 1 + width] !== gasElem
+      )
         swapSpot = i + 1;
     }
   }
@@ -1743,5 +2325,6 @@ function doDensityGas(x, y, i, chance) {
 
   gameImagedata32[i] = gameImagedata32[swapSpot];
   gameImagedata32[swapSpot] = gasElem;
+  swapTemperature(i, swapSpot);
   return true;
 }
@@ -0,0 +1,426 @@
+/*
+ * The core simulation engine: the game grid and the per-frame update loop.
+ *
+ * Nothing here (or in the scripts it depends on) may touch the DOM, so that
+ * the engine can also run headless under Node (see tools/headless.js). The
+ * browser game in game.js is a layer on top of this.
+ *
+ * Copyright (C) 2020, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/* ================================ Globals ================================ */
+
+/*
+ * The game grid. Each pixel holds the color of its element (see elements.js).
+ * game.js draws straight from this buffer, which is why the colors are stored
+ * in canvas ImageData byte order.
+ */
+const gameImagedata32 = new Uint32Array(width * height);
+
+/* Cached for performance */
+const MAX_X_IDX = width - 1;
+const MAX_Y_IDX = height - 1;
+const MAX_IDX = width * height - 1;
+
+/*
+ * The canvas is divided into chunks, which fall asleep once nothing inside
+ * them has changed for CHUNK_SLEEP_FRAMES frames in a row. updateElements()
+ * skips sleeping chunks entirely, so settled piles and walls cost nothing.
+ *
+ * Rather than make everything that writes to the canvas report its writes,
+ * we find changes by comparing the canvas against a copy from the previous
+ * frame. This catches element actions (including those that reach into other
+ * chunks), strokes, particles, zombies, undo, and so on, for the price of one
+ * tight pass over the canvas per frame (see findCanvasChanges(), which also
+ * feeds the rewind timeline). A changed chunk wakes up along with its 8
+ * neighbors, since a change at its edge may let something next door move.
+ *
+ * Waiting several frames before sleeping gives elements that only react with
+ * some probability per frame the chance to do so. Elements that may change
+ * with low probability, or entirely on their own, are listed as
+ * RESTLESS_ELEMENTS (see elements.js), and keep their chunk awake.
+ */
+const CHUNK_SIZE = 32;
+const CHUNK_SLEEP_FRAMES = 60;
+const CHUNK_COLS = Math.ceil(width / CHUNK_SIZE);
+const CHUNK_ROWS = Math.ceil(height / CHUNK_SIZE);
+const NUM_CHUNKS = CHUNK_COLS * CHUNK_ROWS;
+
+/* Frames since each chunk last changed, up to CHUNK_SLEEP_FRAMES (asleep) */
+const __chunkQuietFrames = new Uint8Array(NUM_CHUNKS);
+
+/* Chunks that changed since __updateChunks() last woke them */
+const __chunkChanged = new Uint8Array(NUM_CHUNKS);
+
+/* The canvas as of the last change pass */
+const __prevFrame = new Uint32Array(width * height);
+
+/*
+ * The pixels found changed by the last change pass, and their values before
+ * it. Only the first numCanvasChanges entries are valid.
+ */
+const canvasChangeIndices = new Uint32Array(width * height);
+const canvasChangeBefore = new Uint32Array(width * height);
+var numCanvasChanges = 0;
+
+/*
+ * If set, called after each change pass, while the canvasChange* arrays hold
+ * its results. The rewind timeline records them (see rewind.js).
+ */
+var onCanvasChanges = null;
+
+/*
+ * Also called after each change pass, in the order they were added, by parts
+ * of the game that keep state of their own for some pixels.
+ */
+const __canvasChangeHooks = [];
+
+function addCanvasChangeHook(hook) {
+  __canvasChangeHooks.push(hook);
+}
+
+/* ========================================================================= */
+
+function initEngine() {
+  initElements();
+  initReactions();
+  initTemperature();
+  initBlasts();
+  initWind();
+  initElectricity();
+  initParticles();
+  initSpigots();
+
+  setGameCanvas(BACKGROUND);
+}
+
+/* The phases of a frame, in the order updateGame() runs them */
+const GAME_PHASES = [
+  updateSpigots,
+  updateParticles,
+  updateBlasts,
+  updateElectricity,
+  updateElements,
+  updateWind,
+  updateTemperature,
+];
+const NUM_GAME_PHASES = GAME_PHASES.length;
+
+/* Names of GAME_PHASES, spelled out since minifying renames the functions */
+const GAME_PHASE_NAMES = [
+  "updateSpigots",
+  "updateParticles",
+  "updateBlasts",
+  "updateElectricity",
+  "updateElements",
+  "updateWind",
+  "updateTemperature",
+];
+if (GAME_PHASE_NAMES.length !== NUM_GAME_PHASES)
+  throw "GAME_PHASE_NAMES must name every phase of GAME_PHASES";
+
+/*
+ * If set, updateGame() calls onGamePhase(-1) before the first phase, and
+ * onGamePhase(p) after each phase p of GAME_PHASES. The benchmark uses this
+ * to time the phases.
+ */
+var onGamePhase = null;
+
+/* Advance the simulation by a single frame */
+function updateGame() {
+  const onPhase = onGamePhase;
+  if (onPhase !== null) onPhase(-1);
+  for (var p = 0; p !== NUM_GAME_PHASES; p++) {
+    GAME_PHASES[p]();
+    if (onPhase !== null) onPhase(p);
+  }
+}
+
+/*
+ * Perform the action of every (non-BACKGROUND) pixel on the canvas, skipping
+ * sleeping chunks. If the action leaves the element where it was, its
+ * reactions (see reactions.js) then run.
+ */
+function updateElements() {
+  __updateChunks();
+
+  var x, y, i, chunkX;
+  /* Start our traversal of the bottom row by going to the left */
+  const direction = MAX_Y_IDX & 1;
+
+  /*
+   * Iterate the canvas from the bottom to top, zigzagging
+   * the rows left and right. Within a row, we visit the awake
+   * chunks in the same direction, so the order is the same as
+   * if every chunk were awake.
+   * To optimize for speed, we duplicate the code for the
+   * left->right and right->left cases, as this is our hottest
+   * inner path. This sacrifices readability, and violates DRY,
+   * but is necessary for game performance.
+   */
+  for (y = MAX_Y_IDX; y !== -1; y--) {
+    const Y = y;
+    const rowOffset = Y * width;
+    const chunkRowOffset = Math.floor(Y / CHUNK_SIZE) * CHUNK_COLS;
+    if ((Y & 1) === direction) {
+      for (chunkX = CHUNK_COLS - 1; chunkX !== -1; chunkX--) {
+        if (__chunkQuietFrames[chunkRowOffset + chunkX] === CHUNK_SLEEP_FRAMES)
+          continue;
+        const xEnd = chunkX * CHUNK_SIZE - 1;
+        x = Math.min(xEnd + CHUNK_SIZE, MAX_X_IDX);
+        i = rowOffset + x;
+        for (; x !== xEnd; x--) {
+          const elem = gameImagedata32[i];
+          if (elem === BACKGROUND) {
+            i--;
+            continue; /* optimize to skip background */
+          }
+          const elem_idx =
+            ((elem & 0x70000) >>> 10) + ((elem & 0x700) >>> 5) + (elem & 0x7);
+          elementActions[elem_idx](x, Y, i);
+          if (
+            __reactionsStart[elem_idx] !== __reactionsEnd[elem_idx] &&
+            gameImagedata32[i] === elem
+          )
+            doReactions(x, Y, i, elem_idx);
+          i--;
+        }
+      }
+    } else {
+      for (chunkX = 0; chunkX !== CHUNK_COLS; chunkX++) {
+        if (__chunkQuietFrames[chunkRowOffset + chunkX] === CHUNK_SLEEP_FRAMES)
+          continue;
+        x = chunkX * CHUNK_SIZE;
+        const xEnd = Math.min(x + CHUNK_SIZE, width);
+        i = rowOffset + x;
+        for (; x !== xEnd; x++) {
+          const elem = gameImagedata32[i];
+          if (elem === BACKGROUND) {
+            i++;
+            continue;
+          }
+          const elem_idx =
+            ((elem & 0x70000) >>> 10) + ((elem & 0x700) >>> 5) + (elem & 0x7);
+          elementActions[elem_idx](x, Y, i);
+          if (
+            __reactionsStart[elem_idx] !== __reactionsEnd[elem_idx] &&
+            gameImagedata32[i] === elem
+          )
+            doReactions(x, Y, i, elem_idx);
+          i++;
+        }
+      }
+    }
+  }
+}
+
+/*
+ * The change pass: find the pixels that changed since the last pass, and the
+ * chunks they are in. Runs once per frame, at the start of updateElements(),
+ * and may be run early to catch up on changes (ie. before rewinding).
+ */
+function findCanvasChanges() {
+  const prev = __prevFrame;
+  const changeIndices = canvasChangeIndices;
+  const changeBefore = canvasChangeBefore;
+  var numChanges = 0;
+
+  for (var chunkY = 0; chunkY !== CHUNK_ROWS; chunkY++) {
+    const yStart = chunkY * CHUNK_SIZE;
+    const yEnd = Math.min(yStart + CHUNK_SIZE, height);
+    for (var chunkX = 0; chunkX !== CHUNK_COLS; chunkX++) {
+      const xStart = chunkX * CHUNK_SIZE;
+      const xEnd = Math.min(xStart + CHUNK_SIZE, width);
+      const chunkChangesStart = numChanges;
+      for (var y = yStart; y !== yEnd; y++) {
+        const iterEnd = y * width + xEnd;
+        for (var i = y * width + xStart; i !== iterEnd; i++) {
+          const elem = gameImagedata32[i];
+          if (elem !== prev[i]) {
+            changeIndices[numChanges] = i;
+            changeBefore[numChanges] = prev[i];
+            numChanges++;
+            prev[i] = elem;
+          }
+        }
+      }
+      if (numChanges !== chunkChangesStart)
+        __chunkChanged[chunkY * CHUNK_COLS + chunkX] = 1;
+    }
+  }
+
+  numCanvasChanges = numChanges;
+  const hooks = __canvasChangeHooks;
+  for (var h = 0; h !== hooks.length; h++) hooks[h]();
+  if (onCanvasChanges !== null) onCanvasChanges();
+}
+
+/*
+ * Find the chunks that changed since the last call, and wake them (and their
+ * neighbors). Every other chunk moves a frame closer to sleeping.
+ */
+function __updateChunks() {
+  findCanvasChanges();
+
+  var chunk, chunkX, chunkY, x, y;
+  for (chunk = 0; chunk !== NUM_CHUNKS; chunk++) {
+    if (__chunkQuietFrames[chunk] !== CHUNK_SLEEP_FRAMES)
+      __chunkQuietFrames[chunk]++;
+  }
+
+  for (chunkY = 0; chunkY !== CHUNK_ROWS; chunkY++) {
+    for (chunkX = 0; chunkX !== CHUNK_COLS; chunkX++) {
+      if (!__chunkChanged[chunkY * CHUNK_COLS + chunkX]) continue;
+
+      const neighborYEnd = Math.min(chunkY + 2, CHUNK_ROWS);
+      const neighborXEnd = Math.min(chunkX + 2, CHUNK_COLS);
+      for (y = Math.max(chunkY - 1, 0); y !== neighborYEnd; y++) {
+        for (x = Math.max(chunkX - 1, 0); x !== neighborXEnd; x++)
+          __chunkQuietFrames[y * CHUNK_COLS + x] = 0;
+      }
+    }
+  }
+
+  __chunkChanged.fill(0);
+
+  /* Chunks that are just about to fall asleep get one last check */
+  for (chunk = 0; chunk !== NUM_CHUNKS; chunk++) {
+    if (__chunkQuietFrames[chunk] === CHUNK_SLEEP_FRAMES - 1) {
+      if (__chunkHasRestless(chunk)) __chunkQuietFrames[chunk] = 0;
+    }
+  }
+}
+
+function __chunkHasRestless(chunk) {
+  const xStart = (chunk % CHUNK_COLS) * CHUNK_SIZE;
+  const yStart = Math.floor(chunk / CHUNK_COLS) * CHUNK_SIZE;
+  const xEnd = Math.min(xStart + CHUNK_SIZE, width);
+  const yEnd = Math.min(yStart + CHUNK_SIZE, height);
+  for (var y = yStart; y !== yEnd; y++) {
+    const iterEnd = y * width + xEnd;
+    for (var i = y * width + xStart; i !== iterEnd; i++) {
+      if (gameImagedata32[i] in RESTLESS_ELEMENTS) return true;
+    }
+  }
+  return false;
+}
+
+/* Whether the chunk containing (x, y) is awake */
+function isChunkAwake(x, y) {
+  const chunk =
+    Math.floor(y / CHUNK_SIZE) * CHUNK_COLS + Math.floor(x / CHUNK_SIZE);
+  return __chunkQuietFrames[chunk] !== CHUNK_SLEEP_FRAMES;
+}
+
+/* Keep the chunk containing (x, y) awake, as if it had just changed */
+function wakeChunk(x, y) {
+  __chunkQuietFrames[
+    Math.floor(y / CHUNK_SIZE) * CHUNK_COLS + Math.floor(x / CHUNK_SIZE)
+  ] = 0;
+}
+
+/* Number of chunks currently awake, out of NUM_CHUNKS */
+function numAwakeChunks() {
+  var count = 0;
+  for (var chunk = 0; chunk !== NUM_CHUNKS; chunk++) {
+    if (__chunkQuietFrames[chunk] !== CHUNK_SLEEP_FRAMES) count++;
+  }
+  return count;
+}
+
+function setGameCanvas(elem) {
+  const iterEnd = MAX_IDX + 1;
+  for (var i = 0; i !== iterEnd; i++) {
+    gameImagedata32[i] = elem;
+  }
+}
+
+/*
+ * Replaces the canvas with saved pixels (ie. from a decoded scene). Any active
+ * particles are discarded; loadScene() restores the saved ones afterwards.
+ * Scenes don't save temperatures, so every element starts out at its initial
+ * temperature.
+ *
+ * The canvas size depends on the screen the game was played on, so the saved
+ * state may not match our own dimensions. In that case we align the saved
+ * state to the bottom-left corner (where settled elements usually collect),
+ * cropping or padding with BACKGROUND as needed.
+ */
+function loadGameCanvas(savedImagedata32, savedWidth, savedHeight) {
+  particles.inactivateAll();
+  resetTemperature();
+  resetElectricity();
+
+  if (savedWidth === width && savedHeight === height) {
+    const iterEnd = MAX_IDX + 1;
+    for (var i = 0; i !== iterEnd; i++)
+      gameImagedata32[i] = savedImagedata32[i];
+    return;
+  }
+
+  setGameCanvas(BACKGROUND);
+
+  const copyWidth = Math.min(width, savedWidth);
+  const copyHeight = Math.min(height, savedHeight);
+  var x, y;
+  for (y = 0; y !== copyHeight; y++) {
+    const offset = (height - 1 - y) * width;
+    const savedOffset = (savedHeight - 1 - y) * savedWidth;
+    for (x = 0; x !== copyWidth; x++)
+      gameImagedata32[offset + x] = savedImagedata32[savedOffset + x];
+  }
+}
+
+/* Scratch space for forEachConnected() */
+const __connectedVisited = new Uint8Array(width * height);
+const __connectedStack = new Int32Array(width * height);
+
+/*
+ * Calls fn(i) for each pixel i of the connected region of the element at
+ * (x, y). Pixels connect through their sides, and through their corners as
+ * well if 'diagonal' is set. fn may change the pixels it is given.
+ */
+function forEachConnected(x, y, diagonal, fn) {
+  const start = x + y * width;
+  const elem = gameImagedata32[start];
+  const visited = __connectedVisited;
+  const stack = __connectedStack;
+  visited.fill(0);
+
+  visited[start] = 1;
+  stack[0] = start;
+  var stackSize = 1;
+  while (stackSize !== 0) {
+    const i = stack[--stackSize];
+    fn(i);
+
+    const ix = i % width;
+    const iy = (i - ix) / width;
+    const xStart = ix === 0 ? 0 : ix - 1;
+    const xEnd = ix === MAX_X_IDX ? ix : ix + 1;
+    const yStart = iy === 0 ? 0 : iy - 1;
+    const yEnd = iy === MAX_Y_IDX ? iy : iy + 1;
+    for (var ny = yStart; ny <= yEnd; ny++) {
+      for (var nx = xStart; nx <= xEnd; nx++) {
+        if (!diagonal && nx !== ix && ny !== iy) continue;
+        const j = nx + ny * width;
+        if (visited[j] || gameImagedata32[j] !== elem) continue;
+        visited[j] = 1;
+        stack[stackSize++] = j;
+      }
+    }
+  }
+}
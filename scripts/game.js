@@ -40,17 +40,18 @@ const gameCanvas = document.createElement("canvas");
 gameCanvas.width = width;
 gameCanvas.height = height;
 const gameCtx = gameCanvas.getContext("2d");
-const gameImagedata = gameCtx.createImageData(width, height);
-const gameImagedata32 = new Uint32Array(gameImagedata.data.buffer);
 
-/* Storage for game save state. */
-const saveGameImagedata32 = new Uint32Array(gameImagedata32.length);
-var gamestateSaved = false;
+/* Shares its buffer with the engine's game grid, so drawing needs no copy */
+const gameImagedata = new ImageData(
+  new Uint8ClampedArray(gameImagedata32.buffer),
+  width,
+  height
+);
 
-/* Cached for performance */
-const MAX_X_IDX = width - 1;
-const MAX_Y_IDX = height - 1;
-const MAX_IDX = width * height - 1;
+/* Heat map of the canvas, drawn instead of it while the thermal view is on */
+var THERMAL_VIEW_ENABLED = false; /* controlled via menu */
+const thermalImagedata = new ImageData(width, height);
+const thermalImagedata32 = new Uint32Array(thermalImagedata.data.buffer);
 
 /* Globals for tracking and maintaining FPS */
 var fpsSetting; /* controlled via menu */
@@ -67,22 +68,27 @@ function init() {
   gameWrapper.style.height = height + "px";
   gameWrapper.style.width = width + "px";
 
+  /* ie. ?seed=1234, to reproduce a run exactly. Must precede initMenu(). */
+  const seedParam = new URLSearchParams(window.location.search).get("seed");
+  if (seedParam !== null) {
+    const seed = parseSeed(seedParam);
+    if (seed !== null) seedRandom(seed);
+    else console.log("Ignoring invalid seed: " + seedParam);
+  }
+
   /* setting FPS must occur before initMenu() */
   setFPS(DEFAULT_FPS);
 
+  initEngine();
   initCursors();
-  initElements();
-  initParticles();
-  initSpigots();
   initMenu();
   initSoftBody();
+  initSaves();
+  initHistory();
+  initTools();
 
-  /* Initialize imagedata */
-  const len = gameImagedata32.length;
-  for (var i = 0; i < len; i++) {
-    gameImagedata32[i] = BACKGROUND;
-    saveGameImagedata32[i] = BACKGROUND;
-  }
+  /* must come after the canvas is initialized */
+  initRewind();
 
   /* Nice crisp pixels, regardless of pixel ratio */
   onscreenCtx.mozImageSmoothingEnabled = false;
@@ -97,64 +103,22 @@ function setFPS(fps) {
   if (fps > 0) msPerFrame = 1000.0 / fpsSetting;
   else drawFPSLabel(0);
 }
-function updateGame() {
-  updateSpigots();
-  updateParticles();
-
-  var x, y;
-  var i = MAX_IDX;
-  /*
-   * Since i starts at MAX_IDX, we need to guarantee that we will start
-   * our traversal by going to the left.
-   */
-  const direction = MAX_Y_IDX & 1;
-
-  /*
-   * Iterate the canvas from the bottom to top, zigzagging
-   * the rows left and right.
-   * To optimize for speed, we duplicate the code for the
-   * left->right and right->left cases, as this is our hottest
-   * inner path. This sacrifices readability, and violates DRY,
-   * but is necessary for game performance.
-   */
-  for (y = MAX_Y_IDX; y !== -1; y--) {
-    const Y = y;
-    if ((Y & 1) === direction) {
-      for (x = MAX_X_IDX; x !== -1; x--) {
-        const elem = gameImagedata32[i];
-        if (elem === BACKGROUND) {
-          i--;
-          continue; /* optimize to skip background */
-        }
-        const elem_idx =
-          ((elem & 0x30000) >>> 12) + ((elem & 0x300) >>> 6) + (elem & 0x3);
-        elementActions[elem_idx](x, Y, i);
-        i--;
-      }
-      i++;
-    } else {
-      for (x = 0; x !== width; x++) {
-        const elem = gameImagedata32[i];
-        if (elem === BACKGROUND) {
-          i++;
-          continue;
-        }
-        const elem_idx =
-          ((elem & 0x30000) >>> 12) + ((elem & 0x300) >>> 6) + (elem & 0x3);
-        elementActions[elem_idx](x, Y, i);
-        i++;
-      }
-      i--;
-    }
-    i -= width;
-  }
 
+/* Advance the game by a single frame */
+function stepGame() {
+  updateGame();
   perfRecordFrame();
   frameDebt--;
 }
 
 function draw() {
-  gameCtx.putImageData(gameImagedata, 0, 0);
+  if (THERMAL_VIEW_ENABLED) {
+    renderThermalView(thermalImagedata32);
+    gameCtx.putImageData(thermalImagedata, 0, 0);
+  } else {
+    gameCtx.putImageData(gameImagedata, 0, 0);
+  }
+  drawToolPreview(gameCtx);
 
   /*
    * To make sure our game looks crisp, we need to handle
@@ -172,41 +136,20 @@ function draw() {
   );
 }
 
-function setGameCanvas(elem) {
-  const iterEnd = MAX_IDX + 1;
-  for (var i = 0; i !== iterEnd; i++) {
-    gameImagedata32[i] = elem;
-  }
-}
-
 function clearGameCanvas() {
   particles.inactivateAll();
-  setGameCanvas(BACKGROUND);
-}
 
-/*
- * Saves the current canvas state. Note that we don't also save particle state.
- */
-function saveGameCanvas() {
-  /*
-   * Copy it manually, rather than use a slice, so that we can use a constant
-   * global pointer.
-   */
+  /* Record as its own edit, so that the clear can be undone */
+  historyEndEdit();
+  historyBeginEdit();
   const iterEnd = MAX_IDX + 1;
-  for (var i = 0; i !== iterEnd; i++)
-    saveGameImagedata32[i] = gameImagedata32[i];
-
-  gamestateSaved = true;
-}
-
-function loadGameCanvas() {
-  if (!gamestateSaved) return;
-
-  particles.inactivateAll();
-
-  const iterEnd = MAX_IDX + 1;
-  for (var i = 0; i !== iterEnd; i++)
-    gameImagedata32[i] = saveGameImagedata32[i];
+  for (var i = 0; i !== iterEnd; i++) {
+    if (gameImagedata32[i] !== BACKGROUND) historyRecordPixel(i, BACKGROUND);
+  }
+  setGameCanvas(BACKGROUND);
+  resetTemperature();
+  resetElectricity();
+  historyEndEdit();
 }
 
 /* Signal that we've updated a game frame to our FPS counter */
@@ -240,7 +183,10 @@ function mainLoop(now) {
     return;
   }
 
-  if (fpsSetting > 0) frameDebt += deltaMs / msPerFrame;
+  /* The game is paused while scrubbing through the rewind timeline */
+  const rewinding = isRewinding();
+
+  if (fpsSetting > 0 && !rewinding) frameDebt += deltaMs / msPerFrame;
 
   /*
    * Avoid accumulating too much frame debt, which can
@@ -263,7 +209,7 @@ function mainLoop(now) {
    * Stop drawing the stroke if we're dragging a soft body,
    * since we don't want both at once.
    */
-  if (!softBodyDragStart) {
+  if (!softBodyDragStart && !rewinding) {
     updateUserStroke();
   }
 
@@ -271,13 +217,13 @@ function mainLoop(now) {
   if (frameDebt >= 1) {
     if (frameDebt == 1) {
       /* shortcut for the common case of a single-frame update */
-      updateGame();
+      stepGame();
       framesUpdated++;
     } else {
       /* multi-frame update */
 
       /* first get approx time for a single update */
-      const updateTimeMs = executeAndTime(updateGame);
+      const updateTimeMs = executeAndTime(stepGame);
       framesUpdated++;
 
       /*
@@ -287,7 +233,7 @@ function mainLoop(now) {
       const loopMiscTimeMs = 3.5;
       var timeRemaining = deltaMs - loopMiscTimeMs - updateTimeMs;
       while (timeRemaining > updateTimeMs && frameDebt >= 1) {
-        updateGame();
+        stepGame();
         timeRemaining -= updateTimeMs;
         framesUpdated++;
       }
@@ -304,5 +250,9 @@ function mainLoop(now) {
 
 window.onload = function () {
   init();
-  mainLoop(0);
+
+  /* ie. index.html?benchmark (see benchmark.js) */
+  if (new URLSearchParams(window.location.search).has("benchmark"))
+    runBenchmark();
+  else mainLoop(0);
 };
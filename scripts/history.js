@@ -0,0 +1,190 @@
+/*
+ * Undo/redo history for user edits to the canvas.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Each history entry is a diff: the indices of the pixels an edit changed,
+ * along with their values before and after. Storing whole snapshots would be
+ * far too expensive, since most edits only touch a small part of the canvas.
+ *
+ * The simulation keeps running between an edit and its undo, so by the time
+ * the user undoes a stroke of sand, some of that sand may have fallen. We only
+ * revert pixels which still hold the value the edit left behind, and leave
+ * everything the simulation has since changed alone. Redo works the same way
+ * in reverse.
+ *
+ * Anything that modifies the canvas on the user's behalf should bracket its
+ * writes with historyBeginEdit() and historyEndEdit(), and report each write
+ * with historyRecordPixel().
+ */
+
+/* Each recorded pixel costs 12 bytes (index, before, and after) */
+const HISTORY_MAX_BYTES = 48 * 1024 * 1024;
+const HISTORY_BYTES_PER_PIXEL = 12;
+
+const __undoStack = [];
+const __redoStack = [];
+var __historyBytes = 0;
+
+/*
+ * The edit in progress. Maps each pixel index to an index in the 'before' and
+ * 'after' lists.
+ */
+var __pendingEdit = null;
+var __pendingBefore = null;
+var __pendingAfter = null;
+
+function initHistory() {
+  document.addEventListener("keydown", function (e) {
+    if (!(e.ctrlKey || e.metaKey)) return;
+
+    /* Leave text boxes (ie. save names) to the browser */
+    if (e.target.tagName === "INPUT" && e.target.type === "text") return;
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      undo();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      redo();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+}
+
+/* Start recording an edit. Does nothing if one is already in progress. */
+function historyBeginEdit() {
+  if (__pendingEdit) return;
+
+  __pendingEdit = new Map();
+  __pendingBefore = [];
+  __pendingAfter = [];
+}
+
+/*
+ * Called *before* setting the pixel at 'idx' to 'value' during an edit. If a
+ * pixel is written several times, we keep its original value and the most
+ * recent write.
+ */
+function historyRecordPixel(idx, value) {
+  if (!__pendingEdit) throw "no edit in progress";
+
+  const k = __pendingEdit.get(idx);
+  if (k === undefined) {
+    __pendingEdit.set(idx, __pendingBefore.length);
+    __pendingBefore.push(gameImagedata32[idx]);
+    __pendingAfter.push(value);
+  } else {
+    __pendingAfter[k] = value;
+  }
+}
+
+/* Finish the edit in progress, and push it onto the undo stack */
+function historyEndEdit() {
+  const edit = __pendingEdit;
+  if (!edit) return;
+  const pendingBefore = __pendingBefore;
+  const pendingAfter = __pendingAfter;
+  __pendingEdit = null;
+  __pendingBefore = null;
+  __pendingAfter = null;
+
+  /* Drop pixels that ended up unchanged (ie. drawing over the same element) */
+  const indices = [];
+  const before = [];
+  const after = [];
+  edit.forEach(function (k, idx) {
+    if (pendingBefore[k] === pendingAfter[k]) return;
+    indices.push(idx);
+    before.push(pendingBefore[k]);
+    after.push(pendingAfter[k]);
+  });
+  if (!indices.length) return;
+
+  const entry = {
+    indices: Uint32Array.from(indices),
+    before: Uint32Array.from(before),
+    after: Uint32Array.from(after),
+  };
+
+  __clearHistoryStack(__redoStack);
+  __pushHistory(__undoStack, entry);
+
+  /* Evict the oldest edits if we're over budget */
+  while (__historyBytes > HISTORY_MAX_BYTES && __undoStack.length) {
+    __historyBytes -= __historyEntryBytes(__undoStack.shift());
+  }
+}
+
+/* Forget all edits (ie. after loading a different scene) */
+function historyReset() {
+  __pendingEdit = null;
+  __pendingBefore = null;
+  __pendingAfter = null;
+  __clearHistoryStack(__undoStack);
+  __clearHistoryStack(__redoStack);
+}
+
+function undo() {
+  historyEndEdit();
+
+  const entry = __popHistory(__undoStack);
+  if (!entry) return;
+
+  __applyHistory(entry.indices, entry.after, entry.before);
+  __pushHistory(__redoStack, entry);
+}
+
+function redo() {
+  historyEndEdit();
+
+  const entry = __popHistory(__redoStack);
+  if (!entry) return;
+
+  __applyHistory(entry.indices, entry.before, entry.after);
+  __pushHistory(__undoStack, entry);
+}
+
+/* Set each pixel still equal to its 'from' value to its 'to' value */
+function __applyHistory(indices, from, to) {
+  const numPixels = indices.length;
+  for (var k = 0; k !== numPixels; k++) {
+    const idx = indices[k];
+    if (gameImagedata32[idx] === from[k]) gameImagedata32[idx] = to[k];
+  }
+}
+
+function __historyEntryBytes(entry) {
+  return entry.indices.length * HISTORY_BYTES_PER_PIXEL;
+}
+
+function __pushHistory(stack, entry) {
+  stack.push(entry);
+  __historyBytes += __historyEntryBytes(entry);
+}
+
+function __popHistory(stack) {
+  const entry = stack.pop();
+  if (entry) __historyBytes -= __historyEntryBytes(entry);
+  return entry;
+}
+
+function __clearHistoryStack(stack) {
+  while (stack.length) __popHistory(stack);
+}
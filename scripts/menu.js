@@ -23,58 +23,39 @@ const PEN_SIZES = [2, 4, 8, 16, 32, 64];
 const PEN_SIZE_LABELS = ["1px", "2px", "4px", "8px", "16px", "32px"];
 const DEFAULT_PEN_IDX = 1;
 
-/* Elements listed in the menu */
-// prettier-ignore
-const elementMenuItems = [
-  WALL, SAND, WATER, PLANT,
-  FIRE, SPOUT, WELL, SALT,
-  OIL, WAX, TORCH, ICE,
-  GUNPOWDER, NAPALM, NITRO, C4,
-  LAVA, CRYO, FUSE, MYSTERY,
-  CONCRETE, METHANE, SOIL, ACID,
-  THERMITE, BACKGROUND, ZOMBIE,
-];
-
-const menuNames = {};
-menuNames[WALL] = "WALL";
-menuNames[SAND] = "SAND";
-menuNames[WATER] = "WATER";
-menuNames[PLANT] = "PLANT";
-menuNames[FIRE] = "FIRE";
-menuNames[SALT] = "SALT";
-menuNames[OIL] = "OIL";
-menuNames[SPOUT] = "SPOUT";
-menuNames[WELL] = "WELL";
-menuNames[TORCH] = "TORCH";
-menuNames[GUNPOWDER] = "GUNPOWDER";
-menuNames[WAX] = "WAX";
-menuNames[NITRO] = "NITRO";
-menuNames[NAPALM] = "NAPALM";
-menuNames[C4] = "C-4";
-menuNames[CONCRETE] = "CONCRETE";
-menuNames[BACKGROUND] = "ERASER";
-menuNames[FUSE] = "FUSE";
-menuNames[ICE] = "ICE";
-menuNames[LAVA] = "LAVA";
-menuNames[METHANE] = "METHANE";
-menuNames[CRYO] = "CRYO";
-menuNames[MYSTERY] = "???";
-menuNames[SOIL] = "SOIL";
-menuNames[ACID] = "ACID";
-menuNames[THERMITE] = "THERMITE";
-menuNames[ZOMBIE] = "HAND";
+/* Returns the specs of the elements listed in the menu, in menu order */
+function __menuElementSpecs() {
+  const specs = elementSpecs.filter(function (spec) {
+    return spec.menu !== null;
+  });
+  specs.sort(function (a, b) {
+    return a.menu.order - b.menu.order;
+  });
+  return specs;
+}
+
+/* The name shown for an element in the menu */
+function menuLabel(elem) {
+  const spec = elementSpecs[elementIndex(elem)];
+  if (spec.menu !== null && spec.menu.label) return spec.menu.label;
+  return spec.name;
+}
 
 /*
- * Some element colors do not have very good contrast against
- * the menu background. For these elements, we use a replacement
- * color for the menu text.
+ * Add an option to 'select' for every element but BACKGROUND, in registration
+ * order, selecting 'selected'.
  */
-const menuAltColors = {};
-menuAltColors[WATER] = "rgb(0, 130, 255)";
-menuAltColors[WALL] = "rgb(160, 160, 160)";
-menuAltColors[BACKGROUND] = "rgb(200, 100, 200)";
-menuAltColors[WELL] = "rgb(158, 13, 33)";
-menuAltColors[SOIL] = "rgb(171, 110, 53)";
+function __addElementOptions(select, selected) {
+  for (var e = 0; e !== NUM_ELEMENTS; e++) {
+    const type = elements[e];
+    if (type === BACKGROUND) continue;
+    const option = document.createElement("option");
+    option.value = type;
+    option.text = menuLabel(type);
+    if (type === selected) option.selected = "selected";
+    select.add(option);
+  }
+}
 
 function initMenu() {
   /* The wrapper div that holds the entire menu */
@@ -84,6 +65,7 @@ function initMenu() {
   const elementMenu = document.getElementById("elementTable");
   elementMenu.style.width =
     "50%"; /* force browser to scrunch the element menu */
+  const elementMenuItems = __menuElementSpecs();
   const numRows = Math.ceil(
     elementMenuItems.length / ELEMENT_MENU_ELEMENTS_PER_ROW
   );
@@ -101,16 +83,19 @@ function initMenu() {
       elemButton.type = "button";
       elemButton.className = "elementMenuButton";
 
-      const elemType = elementMenuItems[elemIdx];
-      if (!(elemType in menuNames))
-        throw "element is missing a canonical name: " + elemType;
-      elemButton.value = menuNames[elemType];
+      const spec = elementMenuItems[elemIdx];
+      elemButton.value = menuLabel(spec.color);
 
-      const elemColorRGBA = elemType;
+      const elemColorRGBA = spec.color;
       elemButton.id = elemColorRGBA;
 
+      /*
+       * Some element colors do not have very good contrast against the menu
+       * background. For these elements, the spec gives a replacement color
+       * for the menu text.
+       */
       var elemMenuColor;
-      if (elemType in menuAltColors) elemMenuColor = menuAltColors[elemType];
+      if (spec.menu.textColor) elemMenuColor = spec.menu.textColor;
       else
         elemMenuColor =
           "rgb(" +
@@ -151,6 +136,48 @@ function initMenu() {
     PENSIZE = parseInt(pensizes.value, 10);
   });
 
+  /* pen density slider. Below the max, the brush sprays. */
+  const penDensitySlider = document.getElementById("penDensitySlider");
+  penDensitySlider.min = 1;
+  penDensitySlider.max = MAX_PEN_DENSITY;
+  penDensitySlider.value = PENDENSITY;
+  penDensitySlider.addEventListener("input", function () {
+    PENDENSITY = parseInt(penDensitySlider.value, 10);
+  });
+
+  /* Set up tool options */
+  const toolSelect = document.getElementById("toolSelect");
+  for (i = 0; i < TOOL_LABELS.length; i++) {
+    const option = document.createElement("option");
+    option.value = i;
+    option.text = TOOL_LABELS[i];
+    if (i === SELECTED_TOOL) option.selected = "selected";
+    toolSelect.add(option);
+  }
+  toolSelect.addEventListener("change", function () {
+    selectTool(parseInt(toolSelect.value, 10));
+  });
+
+  /* Picking a stamp readies it to paste, then resets so it can be re-picked */
+  const stampSelect = document.getElementById("stampSelect");
+  const noStamp = document.createElement("option");
+  noStamp.value = -1;
+  noStamp.text = "-";
+  stampSelect.add(noStamp);
+  for (i = 0; i < STAMPS.length; i++) {
+    const option = document.createElement("option");
+    option.value = i;
+    option.text = STAMPS[i].name;
+    stampSelect.add(option);
+  }
+  stampSelect.addEventListener("change", function () {
+    const idx = parseInt(stampSelect.value, 10);
+    if (idx === -1) return;
+    loadStamp(idx);
+    toolSelect.value = SELECTED_TOOL;
+    stampSelect.value = -1;
+  });
+
   /* Set up spigot size options */
   const spigotTypes = [
     document.getElementById("spigot1Type"),
@@ -172,7 +199,7 @@ function initMenu() {
       const type = SPIGOT_ELEMENT_OPTIONS[k];
       const option = document.createElement("option");
       option.value = type;
-      option.text = menuNames[type];
+      option.text = menuLabel(type);
       if (i === k) {
         option.selected = "selected";
         SPIGOT_ELEMENTS[i] = type;
@@ -216,11 +243,48 @@ function initMenu() {
     SPIGOT_SIZES[3] = parseInt(spigotSizes[3].value, 10);
   });
 
-  /* 'overwrite' checkbox */
-  const overwriteCheckbox = document.getElementById("overwriteCheckbox");
-  overwriteCheckbox.checked = OVERWRITE_ENABLED;
-  overwriteCheckbox.addEventListener("click", function () {
-    OVERWRITE_ENABLED = overwriteCheckbox.checked;
+  const sensorType = document.getElementById("sensorType");
+  __addElementOptions(sensorType, sensorElement);
+  sensorType.addEventListener("change", function () {
+    sensorElement = parseInt(sensorType.value, 10);
+  });
+
+  /* seed box. Reseeding restarts the random sequence immediately. */
+  const seedInput = document.getElementById("seedInput");
+  seedInput.value = randomSeed;
+  seedInput.addEventListener("change", function () {
+    const seed = parseSeed(seedInput.value);
+    if (seed !== null) seedRandom(seed);
+    seedInput.value = randomSeed;
+  });
+
+  /* overwrite mode, and the element to replace in OVERWRITE_REPLACE mode */
+  const overwriteMode = document.getElementById("overwriteMode");
+  const replaceType = document.getElementById("replaceType");
+  for (i = 0; i < OVERWRITE_MODE_LABELS.length; i++) {
+    const option = document.createElement("option");
+    option.value = i;
+    option.text = OVERWRITE_MODE_LABELS[i];
+    if (i === OVERWRITE_MODE) option.selected = "selected";
+    overwriteMode.add(option);
+  }
+  __addElementOptions(replaceType, REPLACE_ELEM);
+  replaceType.style.display =
+    OVERWRITE_MODE === OVERWRITE_REPLACE ? "" : "none";
+  overwriteMode.addEventListener("change", function () {
+    OVERWRITE_MODE = parseInt(overwriteMode.value, 10);
+    replaceType.style.display =
+      OVERWRITE_MODE === OVERWRITE_REPLACE ? "" : "none";
+  });
+  replaceType.addEventListener("change", function () {
+    REPLACE_ELEM = parseInt(replaceType.value, 10);
+  });
+
+  /* 'thermal' checkbox */
+  const thermalCheckbox = document.getElementById("thermalCheckbox");
+  thermalCheckbox.checked = THERMAL_VIEW_ENABLED;
+  thermalCheckbox.addEventListener("click", function () {
+    THERMAL_VIEW_ENABLED = thermalCheckbox.checked;
   });
 
   /* speed slider */
@@ -245,17 +309,51 @@ function initMenu() {
     setZombieCount(parseInt(zombieSlider.value, 10));
   });
 
+  /* wind slider. Negative values blow to the left. */
+  const windSlider = document.getElementById("windSlider");
+  windSlider.min = -MAX_GLOBAL_WIND;
+  windSlider.max = MAX_GLOBAL_WIND;
+  windSlider.value = globalWind;
+  windSlider.addEventListener("input", function () {
+    globalWind = parseInt(windSlider.value, 10);
+  });
+
   /* clear button */
   const clearButton = document.getElementById("clearButton");
   clearButton.onclick = clearGameCanvas;
 
   /* save button */
   const saveButton = document.getElementById("saveButton");
-  saveButton.onclick = saveGameCanvas;
+  saveButton.onclick = function () {
+    openSaveManager(true);
+  };
 
   /* load button */
   const loadButton = document.getElementById("loadButton");
-  loadButton.onclick = loadGameCanvas;
+  loadButton.onclick = function () {
+    openSaveManager(false);
+  };
+}
+
+/*
+ * Update the menu controls to reflect settings that were changed from outside
+ * the menu (ie. by loading a scene).
+ */
+function syncMenuSettings() {
+  for (var i = 0; i !== NUM_SPIGOTS; i++) {
+    const n = i + 1;
+    document.getElementById("spigot" + n + "Type").value = SPIGOT_ELEMENTS[i];
+    document.getElementById("spigot" + n + "Size").value = SPIGOT_SIZES[i];
+  }
+  document.getElementById("speedSlider").value = fpsSetting;
+  document.getElementById("zombieSlider").value = zombies.length;
+  document.getElementById("toolSelect").value = SELECTED_TOOL;
+}
+
+function drawRewindLabel(secondsBack) {
+  document.getElementById("rewindLabel").innerText = secondsBack
+    ? "-" + secondsBack.toFixed(1) + "s"
+    : "";
 }
 
 function drawFPSLabel(fps) {
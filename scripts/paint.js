@@ -0,0 +1,86 @@
+/*
+ * Painting elements onto the canvas with the brush and tools.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * What painting may cover: anything, only empty space, or only REPLACE_ELEM
+ * (which turns it into the selected element, leaving everything else alone).
+ * Controlled via the menu. See paintPixel().
+ */
+const OVERWRITE_ALL = 0;
+const OVERWRITE_BACKGROUND = 1;
+const OVERWRITE_REPLACE = 2;
+const OVERWRITE_MODE_LABELS = ["Overwrite all", "Empty only", "Replace"];
+var OVERWRITE_MODE = OVERWRITE_ALL;
+var REPLACE_ELEM = WATER;
+
+/* Percent of the pixels under the pen that a brush stroke paints */
+const MAX_PEN_DENSITY = 100;
+
+/*
+ * Whether a brush stroke at pen density 'density' paints its next pixel. Below
+ * MAX_PEN_DENSITY the brush sprays, painting about 'density' percent of its
+ * pixels at random; holding it still fills in the gaps.
+ */
+function brushPaints(density) {
+  return density === MAX_PEN_DENSITY || random() < density;
+}
+
+/*
+ * Paint 'color' over the pixel at i, as part of the edit in progress, if the
+ * overwrite mode allows it. The brush, shape and fill tools paint through
+ * here.
+ */
+function paintPixel(i, color) {
+  const elem = gameImagedata32[i];
+  if (OVERWRITE_MODE === OVERWRITE_BACKGROUND) {
+    /* The eraser still erases */
+    if (elem !== BACKGROUND && color !== BACKGROUND) return;
+  } else if (OVERWRITE_MODE === OVERWRITE_REPLACE) {
+    if (elem !== REPLACE_ELEM) return;
+  }
+
+  __placePixel(i, color);
+}
+
+function __placePixel(i, color) {
+  historyRecordPixel(i, color);
+  gameImagedata32[i] = color;
+}
+
+/*
+ * Paint the non-zero pixels of a canvas-sized RasterBuffer onto the canvas, as
+ * a single edit. They go through paintPixel() if 'overwrite' is set, and
+ * otherwise cover whatever is there.
+ */
+function paintBuffer(buffer, overwrite) {
+  if (buffer.isEmpty()) return;
+
+  const data = buffer.data;
+  historyBeginEdit();
+  for (var y = buffer.minY; y <= buffer.maxY; y++) {
+    const offset = y * width;
+    for (var x = buffer.minX; x <= buffer.maxX; x++) {
+      const color = data[offset + x];
+      if (color === 0) continue;
+      if (overwrite) paintPixel(offset + x, color);
+      else __placePixel(offset + x, color);
+    }
+  }
+  historyEndEdit();
+}
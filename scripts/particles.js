@@ -35,13 +35,16 @@
  *    particles.makeParticleInactive(particle) for this.
  * 4. Your init method sets your particle color; it must pick a
  *    PAINTABLE_PARTICLE_COLOR.
+ * 5. If your particle stores any new fields, add them to saveState() and
+ *    restoreState() so that they survive saving and loading. This changes the
+ *    scene file layout, so also bump SCENE_VERSION in scene.js.
  */
 
-/* Offscreen canvas for drawing particles */
-const offscreenParticleCanvas = document.createElement("canvas");
-const offscreenParticleCtx = offscreenParticleCanvas.getContext("2d", {
-  alpha: false,
-});
+/*
+ * Particles are drawn here, then copied to the main canvas at the end of
+ * updateParticles().
+ */
+const particleBuffer = new RasterBuffer(width, height);
 
 /* These values index into __particleInit and __particleActions arrays */
 const UNKNOWN_PARTICLE = 0;
@@ -94,23 +97,19 @@ function UNKNOWN_PARTICLE_ACTION(particle) {
 function NITRO_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
 
-  const velocity = 5 + Math.random() * 10;
-  const angle = Math.random() * TWO_PI;
+  const velocity = 5 + randomFloat() * 10;
+  const angle = randomFloat() * TWO_PI;
   particle.setVelocity(velocity, angle);
 
-  particle.size = 2 + Math.random() * 7;
+  particle.size = 2 + randomFloat() * 7;
 }
 
 function NITRO_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const fromX = particle.x;
+  const fromY = particle.y;
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(fromX, fromY, RASTER_CAP_ROUND);
 
   const iterations = particle.actionIterations;
   if (iterations % 5 === 0) particle.size /= 1.3;
@@ -122,10 +121,10 @@ function NITRO_PARTICLE_ACTION(particle) {
 
 function NAPALM_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
-  particle.size = Math.random() * 8 + 6;
-  particle.xVelocity = Math.random() * 8 - 4;
-  particle.yVelocity = -1 * (Math.random() * 4 + 4);
-  particle.maxIterations = Math.floor(Math.random() * 10) + 5;
+  particle.size = randomFloat() * 8 + 6;
+  particle.xVelocity = randomFloat() * 8 - 4;
+  particle.yVelocity = -1 * (randomFloat() * 4 + 4);
+  particle.maxIterations = Math.floor(randomFloat() * 10) + 5;
 }
 
 function NAPALM_PARTICLE_ACTION(particle) {
@@ -133,7 +132,7 @@ function NAPALM_PARTICLE_ACTION(particle) {
 
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  particle.size *= 1 + Math.random() * 0.1;
+  particle.size *= 1 + randomFloat() * 0.1;
 
   if (particle.actionIterations > particle.maxIterations)
     particles.makeParticleInactive(particle);
@@ -141,19 +140,26 @@ function NAPALM_PARTICLE_ACTION(particle) {
 
 function C4_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
-  const rand = Math.random() * 10000;
+  const rand = randomFloat() * 10000;
   if (rand < 9000) {
-    particle.size = Math.random() * 10 + 3;
+    particle.size = randomFloat() * 10 + 3;
   } else if (rand < 9500) {
-    particle.size = Math.random() * 32 + 3;
+    particle.size = randomFloat() * 32 + 3;
   } else if (rand < 9800) {
-    particle.size = Math.random() * 64 + 3;
+    particle.size = randomFloat() * 64 + 3;
   } else {
-    particle.size = Math.random() * 128 + 3;
+    particle.size = randomFloat() * 128 + 3;
   }
 }
 
 function C4_PARTICLE_ACTION(particle) {
+  if (particle.actionIterations === 1)
+    addBlast(
+      particle.x,
+      particle.y,
+      particle.size * C4_BLAST_RADIUS_SCALE,
+      particle.size * C4_BLAST_STRENGTH_SCALE
+    );
   particle.drawCircle(particle.size);
 
   if (particle.actionIterations % 3 === 0) {
@@ -165,25 +171,22 @@ function C4_PARTICLE_ACTION(particle) {
 function LAVA_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
   /* Make it harder for the angle to be steep */
-  var angle = QUARTER_PI + Math.random() * HALF_PI;
+  var angle = QUARTER_PI + randomFloat() * HALF_PI;
   if (random() < 75 && Math.abs(HALF_PI - angle) < EIGHTEENTH_PI)
     angle += EIGHTEENTH_PI * (angle > HALF_PI ? 1 : -1);
 
-  particle.xVelocity = (1 + Math.random() * 3) * Math.cos(angle);
-  particle.yVelocity = (-4 * Math.random() - 3) * Math.sin(angle);
+  particle.xVelocity = (1 + randomFloat() * 3) * Math.cos(angle);
+  particle.yVelocity = (-4 * randomFloat() - 3) * Math.sin(angle);
   particle.initYVelocity = particle.yVelocity;
   particle.yAcceleration = 0.06;
 
-  particle.size = 4 + Math.random() * 3;
+  particle.size = 4 + randomFloat() * 3;
   particle.y -= particle.size;
 }
 
 function LAVA_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const fromX = particle.x;
+  const fromY = particle.y;
 
   const iterations = particle.actionIterations;
   particle.x += particle.xVelocity;
@@ -192,8 +195,7 @@ function LAVA_PARTICLE_ACTION(particle) {
     particle.initYVelocity * iterations +
     (particle.yAcceleration * iterations * iterations) / 2;
 
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(fromX, fromY, RASTER_CAP_ROUND);
 
   /* Allow particle to exist "above" the canvas */
   if (particle.x < 0 || particle.x > MAX_X_IDX || particle.y > MAX_Y_IDX) {
@@ -235,7 +237,7 @@ function LAVA_PARTICLE_ACTION(particle) {
 function MAGIC1_PARTICLE_INIT(particle) {
   if (!particle.reinitialized) particle.setRandomColor(MAGIC_COLORS);
 
-  var numSpokes = 5 + Math.round(Math.random() * 13);
+  var numSpokes = 5 + Math.round(randomFloat() * 13);
   const spokes = [particle];
   var i;
   for (i = 1; i !== numSpokes; i++) {
@@ -265,8 +267,8 @@ function MAGIC1_PARTICLE_INIT(particle) {
   numSpokes = spokes.length;
 
   const angle = TWO_PI / numSpokes;
-  const velocity = 7 + Math.random() * 3;
-  const spokeSize = 4 + Math.random() * 4;
+  const velocity = 7 + randomFloat() * 3;
+  const spokeSize = 4 + randomFloat() * 4;
 
   var currAngle = 0;
   for (i = 0; i !== numSpokes; i++) {
@@ -278,15 +280,11 @@ function MAGIC1_PARTICLE_INIT(particle) {
 }
 
 function MAGIC1_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "square";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const fromX = particle.x;
+  const fromY = particle.y;
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(fromX, fromY, RASTER_CAP_SQUARE);
 
   if (particle.offCanvas()) particles.makeParticleInactive(particle);
 }
@@ -294,7 +292,7 @@ function MAGIC1_PARTICLE_ACTION(particle) {
 function MAGIC2_PARTICLE_INIT(particle) {
   particle.setRandomColor(MAGIC_COLORS);
 
-  particle.size = 4 + Math.random() * 8;
+  particle.size = 4 + randomFloat() * 8;
   particle.x = Math.floor(width / 2);
   particle.y = Math.floor(height / 2);
   particle.initX = particle.x;
@@ -303,16 +301,13 @@ function MAGIC2_PARTICLE_INIT(particle) {
     Math.sqrt(width * width + height * height) / 2 + particle.size;
   particle.magic_2_theta = 0;
   particle.magic_2_speed = 20;
-  particle.magic_2_radius_spacing = 25 + Math.random() * 55;
+  particle.magic_2_radius_spacing = 25 + randomFloat() * 55;
   particle.magic_2_radius = particle.magic_2_radius_spacing;
 }
 
 function MAGIC2_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const fromX = particle.x;
+  const fromY = particle.y;
 
   const newTheta =
     particle.magic_2_theta + particle.magic_2_speed / particle.magic_2_radius;
@@ -324,8 +319,7 @@ function MAGIC2_PARTICLE_ACTION(particle) {
   particle.x = newRadius * Math.cos(newTheta) + particle.initX;
   particle.y = newRadius * Math.sin(newTheta) + particle.initY;
 
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(fromX, fromY, RASTER_CAP_ROUND);
 
   if (newRadius > particle.magic_2_max_radius)
     particles.makeParticleInactive(particle);
@@ -333,7 +327,7 @@ function MAGIC2_PARTICLE_ACTION(particle) {
 
 function METHANE_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
-  particle.size = 10 + Math.random() * 10;
+  particle.size = 10 + randomFloat() * 10;
 }
 
 function METHANE_PARTICLE_ACTION(particle) {
@@ -367,7 +361,7 @@ class TreeType {
 class Tree0 extends TreeType {
   /** @nocollapse */
   static branchAngles(treeParticle) {
-    const branchAngle = EIGHTH_PI + Math.random() * QUARTER_PI;
+    const branchAngle = EIGHTH_PI + randomFloat() * QUARTER_PI;
     return [treeParticle.angle + branchAngle, treeParticle.angle - branchAngle];
   }
 
@@ -392,7 +386,7 @@ class Tree1 extends TreeType {
   /** @nocollapse */
   static branchAngles(treeParticle) {
     const branchAngle =
-      (EIGHTH_PI + Math.random() * EIGHTH_PI) * treeParticle.branchDirection;
+      (EIGHTH_PI + randomFloat() * EIGHTH_PI) * treeParticle.branchDirection;
     return [treeParticle.angle + branchAngle, treeParticle.angle];
   }
 
@@ -406,7 +400,7 @@ class Tree1 extends TreeType {
 class Tree2 extends TreeType {
   /** @nocollapse */
   static branchAngles(treeParticle) {
-    const branchAngle = Math.random() * SIXTEENTH_PI + EIGHTH_PI;
+    const branchAngle = randomFloat() * SIXTEENTH_PI + EIGHTH_PI;
     return [
       treeParticle.angle,
       treeParticle.angle + branchAngle,
@@ -432,12 +426,12 @@ function TREE_PARTICLE_INIT(particle) {
   particle.setColor(BRANCH);
   particle.size = random() < 50 ? 3 : 4;
 
-  const velocity = 1 + Math.random() * 0.5;
-  const angle = -1 * (HALF_PI + EIGHTH_PI - Math.random() * QUARTER_PI);
+  const velocity = 1 + randomFloat() * 0.5;
+  const angle = -1 * (HALF_PI + EIGHTH_PI - randomFloat() * QUARTER_PI);
   particle.setVelocity(velocity, angle);
   particle.generation = 1;
-  particle.branchSpacing = 15 + Math.round(Math.random() * 45);
-  particle.maxBranches = 1 + Math.round(Math.random() * 2);
+  particle.branchSpacing = 15 + Math.round(randomFloat() * 45);
+  particle.maxBranches = 1 + Math.round(randomFloat() * 2);
   particle.nextBranch = particle.branchSpacing;
   particle.branches = 0;
 
@@ -445,22 +439,18 @@ function TREE_PARTICLE_INIT(particle) {
   if (random() < 62) {
     particle.treeType = 0;
   } else {
-    particle.treeType = 1 + Math.floor(Math.random() * NUM_TREE_TYPES - 1);
+    particle.treeType = 1 + Math.floor(randomFloat() * NUM_TREE_TYPES - 1);
   }
 
   TREE_TYPES[particle.treeType].initTreeParticle(particle, null);
 }
 
 function TREE_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "round";
-  offscreenParticleCtx.moveTo(particle.x, particle.y);
+  const fromX = particle.x;
+  const fromY = particle.y;
   particle.x += particle.xVelocity;
   particle.y += particle.yVelocity;
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(fromX, fromY, RASTER_CAP_ROUND);
 
   /* Don't grow through WALL */
   if (particle.aboutToHit() === WALL) {
@@ -513,7 +503,7 @@ function TREE_PARTICLE_ACTION(particle) {
 
     if (particle.branchSpacing > 45) particle.branchSpacing *= 0.8;
     particle.nextBranch =
-      iterations + particle.branchSpacing * (Math.random() * 0.35 + 0.65);
+      iterations + particle.branchSpacing * (randomFloat() * 0.35 + 0.65);
   }
 }
 
@@ -525,7 +515,7 @@ function CHARGED_NITRO_PARTICLE_INIT(particle) {
 
   /* Search upwards for a WALL collision (but don't check every pixel) */
   particle.minY = -1;
-  const step = (3 + Math.round(Math.random() * 2)) * width;
+  const step = (3 + Math.round(randomFloat() * 2)) * width;
   for (var idx = particle.i; idx > -1; idx -= step) {
     if (gameImagedata32[idx] === WALL) {
       particle.minY = idx / width;
@@ -535,15 +525,9 @@ function CHARGED_NITRO_PARTICLE_INIT(particle) {
 }
 
 function CHARGED_NITRO_PARTICLE_ACTION(particle) {
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.lineWidth = particle.size;
-  offscreenParticleCtx.strokeStyle = particle.rgbaColor;
-  offscreenParticleCtx.lineCap = "square";
-  offscreenParticleCtx.moveTo(particle.initX, particle.initY);
   particle.x += particle.xVelocity;
   particle.y = Math.max(particle.minY, particle.y + particle.yVelocity);
-  offscreenParticleCtx.lineTo(particle.x, particle.y);
-  offscreenParticleCtx.stroke();
+  particle.drawLine(particle.initX, particle.initY, RASTER_CAP_SQUARE);
 
   if (particle.y <= particle.minY || particle.offCanvas()) {
     particles.makeParticleInactive(particle);
@@ -554,10 +538,17 @@ function CHARGED_NITRO_PARTICLE_ACTION(particle) {
 function NUKE_PARTICLE_INIT(particle) {
   particle.setColor(FIRE);
   const maxDimension = Math.max(width, height);
-  particle.size = maxDimension / 4 + (Math.random() * maxDimension) / 8;
+  particle.size = maxDimension / 4 + (randomFloat() * maxDimension) / 8;
 }
 
 function NUKE_PARTICLE_ACTION(particle) {
+  if (particle.actionIterations === 1)
+    addBlast(
+      particle.x,
+      particle.y,
+      particle.size * NUKE_BLAST_RADIUS_SCALE,
+      particle.size * NUKE_BLAST_STRENGTH_SCALE
+    );
   particle.drawCircle(particle.size);
 
   if (particle.actionIterations > 4) particles.makeParticleInactive(particle);
@@ -572,7 +563,6 @@ class Particle {
     this.y = -1;
     this.i = -1;
     this.color = 0;
-    this.rgbaColor = "rgba(0, 0, 0, 1)";
     this.velocity = 0;
     this.angle = 0;
     this.xVelocity = 0;
@@ -594,15 +584,10 @@ class Particle {
     }
 
     this.color = hexColor;
-
-    const r = hexColor & 0xff;
-    const g = (hexColor & 0xff00) >>> 8;
-    const b = (hexColor & 0xff0000) >>> 16;
-    this.rgbaColor = "rgba(" + r + "," + g + "," + b + ", 1)";
   }
 
   setRandomColor(whitelist) {
-    const colorIdx = Math.floor(Math.random() * whitelist.length);
+    const colorIdx = Math.floor(randomFloat() * whitelist.length);
     this.setColor(whitelist[colorIdx]);
   }
 
@@ -638,16 +623,170 @@ class Particle {
   }
 
   drawCircle(radius) {
-    offscreenParticleCtx.beginPath();
-    offscreenParticleCtx.lineWidth = 0;
-    offscreenParticleCtx.fillStyle = this.rgbaColor;
-    offscreenParticleCtx.arc(this.x, this.y, radius, 0, TWO_PI);
-    offscreenParticleCtx.fill();
+    particleBuffer.fillCircle(this.x, this.y, radius, this.color);
+  }
+
+  /* Draw a line of width 'size' from (fromX, fromY) to the particle */
+  drawLine(fromX, fromY, lineCap) {
+    particleBuffer.strokeLine(
+      fromX,
+      fromY,
+      this.x,
+      this.y,
+      this.size,
+      lineCap,
+      this.color
+    );
+  }
+
+  /*
+   * Returns the particle state as a flat list of numbers, for scene files.
+   * The type and color are saved separately. Fields that are only used by some
+   * particle types may be undefined, which is stored as NaN.
+   */
+  saveState() {
+    return [
+      this.initX,
+      this.initY,
+      this.x,
+      this.y,
+      this.i,
+      this.velocity,
+      this.angle,
+      this.xVelocity,
+      this.yVelocity,
+      this.size,
+      this.actionIterations,
+      this.reinitialized ? 1 : 0,
+      /* Type specific */
+      this.maxIterations,
+      this.initYVelocity,
+      this.yAcceleration,
+      this.minY,
+      this.magic_2_max_radius,
+      this.magic_2_theta,
+      this.magic_2_speed,
+      this.magic_2_radius_spacing,
+      this.magic_2_radius,
+      this.generation,
+      this.branchSpacing,
+      this.maxBranches,
+      this.nextBranch,
+      this.branches,
+      this.treeType,
+      this.branchDirection,
+    ];
+  }
+
+  /*
+   * Inverse of saveState(). The state is shifted down by 'yOffset' pixels, for
+   * scenes saved with a different canvas height.
+   */
+  restoreState(color, state, yOffset) {
+    this.setColor(color);
+    this.initX = state[0];
+    this.initY = state[1] + yOffset;
+    this.x = state[2];
+    this.y = state[3] + yOffset;
+    this.i = state[4] + yOffset * width;
+    this.velocity = state[5];
+    this.angle = state[6];
+    this.xVelocity = state[7];
+    this.yVelocity = state[8];
+    this.size = state[9];
+    this.actionIterations = state[10];
+    this.reinitialized = state[11] === 1;
+    this.maxIterations = __optionalState(state[12]);
+    this.initYVelocity = __optionalState(state[13]);
+    this.yAcceleration = __optionalState(state[14]);
+    this.minY = __optionalState(state[15]);
+    if (this.minY !== undefined && this.minY !== -1) this.minY += yOffset;
+    this.magic_2_max_radius = __optionalState(state[16]);
+    this.magic_2_theta = __optionalState(state[17]);
+    this.magic_2_speed = __optionalState(state[18]);
+    this.magic_2_radius_spacing = __optionalState(state[19]);
+    this.magic_2_radius = __optionalState(state[20]);
+    this.generation = __optionalState(state[21]);
+    this.branchSpacing = __optionalState(state[22]);
+    this.maxBranches = __optionalState(state[23]);
+    this.nextBranch = __optionalState(state[24]);
+    this.branches = __optionalState(state[25]);
+    this.treeType = __optionalState(state[26]);
+    this.branchDirection = __optionalState(state[27]);
+  }
+
+  /*
+   * Checks that restoring the given state, saved on a canvas of the given size,
+   * can't break the particle's action. A NaN that reaches the particle buffer's
+   * bounds would hang updateParticles().
+   */
+  static validState(type, state, stateWidth, stateHeight) {
+    if (state.length !== PARTICLE_STATE_LENGTH) return false;
+    for (var k = 0; k !== 12; k++) {
+      if (!isFinite(state[k])) return false;
+    }
+    const fields = __PARTICLE_STATE_FIELDS[type];
+    for (k = 0; k !== fields.length; k++) {
+      if (!isFinite(state[fields[k]])) return false;
+    }
+
+    /*
+     * Particles may stray off the canvas before they are inactivated (ie.
+     * spirals), but never by more than its diagonal. The index is of the pixel
+     * the particle started from, so it doesn't follow the particle around.
+     */
+    const margin = Math.sqrt(
+      stateWidth * stateWidth + stateHeight * stateHeight
+    );
+    for (k = 0; k !== 4; k += 2) {
+      const x = state[k];
+      const y = state[k + 1];
+      if (x < -margin || x > stateWidth + margin) return false;
+      if (y < -margin || y > stateHeight + margin) return false;
+    }
+    const i = state[4];
+    if (!(i >= 0 && i < stateWidth * stateHeight)) return false;
+    if (Math.floor(i) !== i) return false;
+
+    /* A spiral divides by its radius */
+    if (type === MAGIC2_PARTICLE && !(state[20] > 0)) return false;
+    if (type === TREE_PARTICLE) {
+      const treeType = state[26];
+      if (!(treeType >= 0 && treeType < NUM_TREE_TYPES)) return false;
+      if (Math.floor(treeType) !== treeType) return false;
+    }
+    return true;
   }
 }
 
 Particle.warned_unpaintable_color = false;
 
+const PARTICLE_STATE_LENGTH = new Particle().saveState().length;
+
+/*
+ * By particle type, the indices in saveState() of the type specific fields its
+ * action reads, which a saved state must have set: maxIterations (12),
+ * initYVelocity and yAcceleration (13, 14), minY (15), the magic_2_* fields
+ * (16 to 20), and the tree fields (21 to 26).
+ */
+const __PARTICLE_STATE_FIELDS = [];
+__PARTICLE_STATE_FIELDS[UNKNOWN_PARTICLE] = [];
+__PARTICLE_STATE_FIELDS[NITRO_PARTICLE] = [];
+__PARTICLE_STATE_FIELDS[NAPALM_PARTICLE] = [12];
+__PARTICLE_STATE_FIELDS[C4_PARTICLE] = [];
+__PARTICLE_STATE_FIELDS[LAVA_PARTICLE] = [13, 14];
+__PARTICLE_STATE_FIELDS[MAGIC1_PARTICLE] = [];
+__PARTICLE_STATE_FIELDS[MAGIC2_PARTICLE] = [16, 17, 18, 19, 20];
+__PARTICLE_STATE_FIELDS[METHANE_PARTICLE] = [];
+__PARTICLE_STATE_FIELDS[TREE_PARTICLE] = [21, 22, 23, 24, 25, 26];
+__PARTICLE_STATE_FIELDS[CHARGED_NITRO_PARTICLE] = [15];
+__PARTICLE_STATE_FIELDS[NUKE_PARTICLE] = [];
+Object.freeze(__PARTICLE_STATE_FIELDS);
+
+function __optionalState(value) {
+  return isNaN(value) ? undefined : value;
+}
+
 /*
  * Two doubly-linked lists: one for active and one for
  * inactive particles
@@ -667,6 +806,35 @@ class ParticleList {
   }
 
   addActiveParticle(type, x, y, i) {
+    const particle = this.__activateParticle(type);
+    if (!particle) return null;
+
+    particle.reinitialized = false;
+    particle.actionIterations = 0;
+    particle.initX = x;
+    particle.initY = y;
+    particle.x = x;
+    particle.y = y;
+    particle.i = i;
+    __particleInit[type](particle);
+
+    return particle;
+  }
+
+  /*
+   * Like addActiveParticle(), but for a particle saved with saveState().
+   * Particles are added to the front of the active list, so to preserve the
+   * original update order, restore them in reverse.
+   */
+  restoreParticle(type, color, state, yOffset) {
+    const particle = this.__activateParticle(type);
+    if (!particle) return null;
+
+    particle.restoreState(color, state, yOffset);
+    return particle;
+  }
+
+  __activateParticle(type) {
     if (this.inactiveSize === 0) return null;
 
     const particle = this.inactiveHead;
@@ -687,16 +855,8 @@ class ParticleList {
     this.activeSize++;
 
     particle.active = true;
-    particle.reinitialized = false;
-    particle.actionIterations = 0;
     particle.type = type;
-    particle.initX = x;
-    particle.initY = y;
-    particle.x = x;
-    particle.y = y;
-    particle.i = i;
     this.particleCounts[type]++;
-    __particleInit[type](particle);
 
     return particle;
   }
@@ -756,11 +916,8 @@ class ParticleList {
 const particles = new ParticleList();
 
 /*
- * When we copy the particle strokes to the main canvas, some
- * of the colors will not match any elements (due to anti-aliasing
- * of the stroke). We need a fast way to know if a given color is
- * a valid color for painting. Hence, this dictionary of colors that can
- * be copied from the particle canvas to the main canvas.
+ * Colors that particles are allowed to paint onto the main canvas. Filled
+ * from the element registry (see the paintable property in elements.js).
  */
 const PAINTABLE_PARTICLE_COLORS = {};
 
@@ -796,44 +953,29 @@ function initParticles() {
     numParticlesToCreate--;
   }
 
-  offscreenParticleCanvas.width = width;
-  offscreenParticleCanvas.height = height;
-
-  PAINTABLE_PARTICLE_COLORS[FIRE] = null;
-  PAINTABLE_PARTICLE_COLORS[WALL] = null;
-  PAINTABLE_PARTICLE_COLORS[ROCK] = null;
-  PAINTABLE_PARTICLE_COLORS[LAVA] = null;
-  PAINTABLE_PARTICLE_COLORS[PLANT] = null;
-  PAINTABLE_PARTICLE_COLORS[SPOUT] = null;
-  PAINTABLE_PARTICLE_COLORS[WELL] = null;
-  PAINTABLE_PARTICLE_COLORS[WAX] = null;
-  PAINTABLE_PARTICLE_COLORS[ICE] = null;
-  PAINTABLE_PARTICLE_COLORS[BRANCH] = null;
-  PAINTABLE_PARTICLE_COLORS[LEAF] = null;
+  const numSpecs = elementSpecs.length;
+  for (var i = 0; i !== numSpecs; i++) {
+    if (elementSpecs[i].paintable)
+      PAINTABLE_PARTICLE_COLORS[elementSpecs[i].color] = null;
+  }
   Object.freeze(PAINTABLE_PARTICLE_COLORS);
 
-  /* All of these are also in PAINTABLE_PARTICLE_COLORS */
   MAGIC_COLORS.push(WALL);
   MAGIC_COLORS.push(PLANT);
   MAGIC_COLORS.push(SPOUT);
   MAGIC_COLORS.push(WELL);
   MAGIC_COLORS.push(WAX);
   MAGIC_COLORS.push(ICE);
+  for (i = 0; i !== MAGIC_COLORS.length; i++) {
+    if (!(MAGIC_COLORS[i] in PAINTABLE_PARTICLE_COLORS))
+      throw elementName(MAGIC_COLORS[i]) + " must be paintable";
+  }
   Object.freeze(MAGIC_COLORS);
 }
 
 function updateParticles() {
   if (!particles.activeHead) return;
 
-  const canvasWidth = offscreenParticleCanvas.width;
-  const canvasHeight = offscreenParticleCanvas.height;
-
-  /* reset the particle canvas */
-  offscreenParticleCtx.beginPath();
-  offscreenParticleCtx.fillStyle = "rgba(0, 0, 0, 1)";
-  offscreenParticleCtx.rect(0, 0, canvasWidth, canvasHeight);
-  offscreenParticleCtx.fill();
-
   /* perform particle actions */
   var particle = particles.activeHead;
   while (particle) {
@@ -845,71 +987,23 @@ function updateParticles() {
   }
 
   /* move particle draw state to main canvas */
-  const particleImageData = offscreenParticleCtx.getImageData(
-    0,
-    0,
-    canvasWidth,
-    canvasHeight
-  );
-  const particleImageData32 = new Uint32Array(particleImageData.data.buffer);
+  if (particleBuffer.isEmpty()) return;
+  const particleData = particleBuffer.data;
+  const xStart = particleBuffer.minX;
+  const xEnd = particleBuffer.maxX + 1;
+  const yEnd = particleBuffer.maxY + 1;
   var x, y;
-  var __yOffset = 0;
-  const aliasingSearchDistance = 3;
-  for (y = 0; y !== canvasHeight; y++) {
-    const yOffset = __yOffset; /* optimization: make const copy */
-    for (x = 0; x !== canvasWidth; x++) {
+  for (y = particleBuffer.minY; y !== yEnd; y++) {
+    const yOffset = y * width;
+    for (x = xStart; x !== xEnd; x++) {
       const i = x + yOffset;
-      const particleColor = particleImageData32[i];
-
-      if (particleColor === 0xff000000) continue;
-
-      /*
-       * ImageData will container other colors due to anti-aliasing.
-       * However, we can only copy over valid colors to the main canvas.
-       *
-       * If the color appears to be invalid, it is likely right along the
-       * edge of a valid color. In this case, we can search nearby pixels
-       * for such a color.
-       *
-       * The motivation for this is that when many overlapping shapes are
-       * drawn on the canvas (ie. the various particles), the aliased border
-       * of each sub-object created gaps of invalid colors.
-       */
-      if (particleColor in PAINTABLE_PARTICLE_COLORS) {
+      const particleColor = particleData[i];
+
+      if (particleColor === 0) continue;
+
+      if (particleColor in PAINTABLE_PARTICLE_COLORS)
         gameImagedata32[i] = particleColor;
-        continue;
-      } else {
-        var searchColor;
-        if (x - aliasingSearchDistance >= 0) {
-          searchColor = particleImageData32[i - aliasingSearchDistance];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
-        }
-        if (x + aliasingSearchDistance <= MAX_X_IDX) {
-          searchColor = particleImageData32[i + aliasingSearchDistance];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
-        }
-        if (y - aliasingSearchDistance >= 0) {
-          searchColor = particleImageData32[i - aliasingSearchDistance * width];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
-        }
-        if (y + aliasingSearchDistance <= MAX_Y_IDX) {
-          searchColor = particleImageData32[i + aliasingSearchDistance * width];
-          if (searchColor in PAINTABLE_PARTICLE_COLORS) {
-            gameImagedata32[i] = searchColor;
-            continue;
-          }
-        }
-      }
     }
-    __yOffset += canvasWidth;
   }
+  particleBuffer.clear();
 }
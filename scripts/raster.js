@@ -0,0 +1,331 @@
+/*
+ * Pure javascript rasterization of simple shapes, without needing a canvas.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Drawing with a 2d canvas context and reading the result back has two
+ * problems for us. The browser anti-aliases shape edges, producing colors that
+ * aren't valid elements, and a canvas isn't available at all when running
+ * headless (see tools/headless.js). So instead we rasterize ourselves.
+ *
+ * A pixel is covered by a shape if its center lies inside the shape, which
+ * matches what a canvas draws (minus the anti-aliasing).
+ */
+
+/* Line cap styles, as with CanvasRenderingContext2D.lineCap */
+const RASTER_CAP_ROUND = 0;
+const RASTER_CAP_SQUARE = 1;
+
+/*
+ * A buffer of element colors, where 0 means nothing was drawn. Tracks the
+ * bounding box of everything drawn since the last clear(), so that consumers
+ * only need to visit that region.
+ */
+class RasterBuffer {
+  constructor(bufferWidth, bufferHeight) {
+    this.width = bufferWidth;
+    this.height = bufferHeight;
+    this.data = new Uint32Array(bufferWidth * bufferHeight);
+    this.minX = bufferWidth;
+    this.minY = bufferHeight;
+    this.maxX = -1;
+    this.maxY = -1;
+  }
+
+  isEmpty() {
+    return this.maxX === -1;
+  }
+
+  /* Reset the dirty region to empty */
+  clear() {
+    if (this.isEmpty()) return;
+
+    const bufferWidth = this.width;
+    const data = this.data;
+    for (var y = this.minY; y <= this.maxY; y++) {
+      const offset = y * bufferWidth;
+      data.fill(0, offset + this.minX, offset + this.maxX + 1);
+    }
+    this.minX = this.width;
+    this.minY = this.height;
+    this.maxX = -1;
+    this.maxY = -1;
+  }
+
+  /*
+   * Clip the bounding box [x1, x2] x [y1, y2] to the buffer, and grow the
+   * dirty region to include it. Returns false if nothing is left.
+   */
+  __clipAndMark(bounds) {
+    bounds[0] = Math.max(0, Math.floor(bounds[0]));
+    bounds[1] = Math.max(0, Math.floor(bounds[1]));
+    bounds[2] = Math.min(this.width - 1, Math.ceil(bounds[2]));
+    bounds[3] = Math.min(this.height - 1, Math.ceil(bounds[3]));
+    if (bounds[0] > bounds[2] || bounds[1] > bounds[3]) return false;
+
+    this.minX = Math.min(this.minX, bounds[0]);
+    this.minY = Math.min(this.minY, bounds[1]);
+    this.maxX = Math.max(this.maxX, bounds[2]);
+    this.maxY = Math.max(this.maxY, bounds[3]);
+    return true;
+  }
+
+  fillCircle(cx, cy, radius, color) {
+    const bounds = [cx - radius, cy - radius, cx + radius, cy + radius];
+    if (!this.__clipAndMark(bounds)) return;
+
+    const radiusSquared = radius * radius;
+    const bufferWidth = this.width;
+    const data = this.data;
+    for (var y = bounds[1]; y <= bounds[3]; y++) {
+      const dy = y + 0.5 - cy;
+      const dySquared = dy * dy;
+      const offset = y * bufferWidth;
+      for (var x = bounds[0]; x <= bounds[2]; x++) {
+        const dx = x + 0.5 - cx;
+        if (dx * dx + dySquared <= radiusSquared) data[offset + x] = color;
+      }
+    }
+  }
+
+  /* Stroke a line segment of the given width, as a canvas would */
+  strokeLine(x1, y1, x2, y2, lineWidth, lineCap, color) {
+    const halfWidth = lineWidth / 2;
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = Math.sqrt(dx * dx + dy * dy);
+
+    if (length === 0) {
+      if (lineCap === RASTER_CAP_ROUND)
+        this.fillCircle(x1, y1, halfWidth, color);
+      else
+        this.fillRect(
+          x1 - halfWidth,
+          y1 - halfWidth,
+          lineWidth,
+          lineWidth,
+          color
+        );
+      return;
+    }
+
+    const bounds = [
+      Math.min(x1, x2) - halfWidth,
+      Math.min(y1, y2) - halfWidth,
+      Math.max(x1, x2) + halfWidth,
+      Math.max(y1, y2) + halfWidth,
+    ];
+    if (!this.__clipAndMark(bounds)) return;
+
+    /* unit vector along the line */
+    const ux = dx / length;
+    const uy = dy / length;
+    const halfWidthSquared = halfWidth * halfWidth;
+    const square = lineCap === RASTER_CAP_SQUARE;
+    const bufferWidth = this.width;
+    const data = this.data;
+    for (var y = bounds[1]; y <= bounds[3]; y++) {
+      const py = y + 0.5 - y1;
+      const offset = y * bufferWidth;
+      for (var x = bounds[0]; x <= bounds[2]; x++) {
+        const px = x + 0.5 - x1;
+
+        /* position along, and distance from, the line */
+        const along = px * ux + py * uy;
+        const across = px * uy - py * ux;
+
+        if (square) {
+          if (
+            along >= -halfWidth &&
+            along <= length + halfWidth &&
+            Math.abs(across) <= halfWidth
+          )
+            data[offset + x] = color;
+          continue;
+        }
+
+        var distanceSquared;
+        if (along < 0) {
+          distanceSquared = px * px + py * py;
+        } else if (along > length) {
+          const ex = px - dx;
+          const ey = py - dy;
+          distanceSquared = ex * ex + ey * ey;
+        } else {
+          distanceSquared = across * across;
+        }
+        if (distanceSquared <= halfWidthSquared) data[offset + x] = color;
+      }
+    }
+  }
+
+  fillRect(x, y, rectWidth, rectHeight, color) {
+    /* pixel centers must fall within [x, x + rectWidth) */
+    const bounds = [
+      Math.ceil(x - 0.5),
+      Math.ceil(y - 0.5),
+      Math.ceil(x + rectWidth - 0.5) - 1,
+      Math.ceil(y + rectHeight - 0.5) - 1,
+    ];
+    if (!this.__clipAndMark(bounds)) return;
+
+    const bufferWidth = this.width;
+    for (var row = bounds[1]; row <= bounds[3]; row++) {
+      const offset = row * bufferWidth;
+      this.data.fill(color, offset + bounds[0], offset + bounds[2] + 1);
+    }
+  }
+
+  /* Outline a rectangle with a border lineWidth thick, inside its edges */
+  strokeRect(x, y, rectWidth, rectHeight, lineWidth, color) {
+    if (2 * lineWidth >= rectWidth || 2 * lineWidth >= rectHeight) {
+      this.fillRect(x, y, rectWidth, rectHeight, color);
+      return;
+    }
+
+    const innerHeight = rectHeight - 2 * lineWidth;
+    this.fillRect(x, y, rectWidth, lineWidth, color);
+    this.fillRect(x, y + rectHeight - lineWidth, rectWidth, lineWidth, color);
+    this.fillRect(x, y + lineWidth, lineWidth, innerHeight, color);
+    this.fillRect(
+      x + rectWidth - lineWidth,
+      y + lineWidth,
+      lineWidth,
+      innerHeight,
+      color
+    );
+  }
+
+  fillEllipse(cx, cy, radiusX, radiusY, color) {
+    this.__ellipse(cx, cy, radiusX, radiusY, 0, 0, color);
+  }
+
+  /* Stroke the outline of an ellipse, centered on its edge */
+  strokeEllipse(cx, cy, radiusX, radiusY, lineWidth, color) {
+    const halfWidth = lineWidth / 2;
+    this.__ellipse(
+      cx,
+      cy,
+      radiusX + halfWidth,
+      radiusY + halfWidth,
+      radiusX - halfWidth,
+      radiusY - halfWidth,
+      color
+    );
+  }
+
+  /*
+   * Fill the pixels inside the outer ellipse, but not inside the inner one.
+   * An inner radius of 0 or less leaves nothing out.
+   */
+  __ellipse(cx, cy, outerX, outerY, innerX, innerY, color) {
+    if (outerX <= 0 || outerY <= 0) return;
+    const bounds = [cx - outerX, cy - outerY, cx + outerX, cy + outerY];
+    if (!this.__clipAndMark(bounds)) return;
+
+    const hollow = innerX > 0 && innerY > 0;
+    const outerXSquared = outerX * outerX;
+    const outerYSquared = outerY * outerY;
+    const innerXSquared = innerX * innerX;
+    const innerYSquared = innerY * innerY;
+    const bufferWidth = this.width;
+    const data = this.data;
+    for (var y = bounds[1]; y <= bounds[3]; y++) {
+      const dy = y + 0.5 - cy;
+      const dySquared = dy * dy;
+      const offset = y * bufferWidth;
+      for (var x = bounds[0]; x <= bounds[2]; x++) {
+        const dx = x + 0.5 - cx;
+        const dxSquared = dx * dx;
+        if (dxSquared / outerXSquared + dySquared / outerYSquared > 1) continue;
+        if (hollow && dxSquared / innerXSquared + dySquared / innerYSquared < 1)
+          continue;
+        data[offset + x] = color;
+      }
+    }
+  }
+
+  /*
+   * Fill a polygon, given its vertices as a flat [x0, y0, x1, y1, ...] list.
+   * Uses the even-odd rule, so self-intersecting polygons have holes.
+   */
+  fillPolygon(points, color) {
+    const numPoints = points.length / 2;
+    if (numPoints < 3) return;
+
+    const bounds = [points[0], points[1], points[0], points[1]];
+    for (var k = 1; k !== numPoints; k++) {
+      bounds[0] = Math.min(bounds[0], points[2 * k]);
+      bounds[1] = Math.min(bounds[1], points[2 * k + 1]);
+      bounds[2] = Math.max(bounds[2], points[2 * k]);
+      bounds[3] = Math.max(bounds[3], points[2 * k + 1]);
+    }
+    if (!this.__clipAndMark(bounds)) return;
+
+    /* For each row, find where the edges cross it, and fill between pairs */
+    const crossings = [];
+    const bufferWidth = this.width;
+    for (var y = bounds[1]; y <= bounds[3]; y++) {
+      const py = y + 0.5;
+      crossings.length = 0;
+      for (k = 0; k !== numPoints; k++) {
+        const next = k + 1 === numPoints ? 0 : k + 1;
+        const x1 = points[2 * k];
+        const y1 = points[2 * k + 1];
+        const x2 = points[2 * next];
+        const y2 = points[2 * next + 1];
+        /* Half-open, so a vertex on the row is only counted once */
+        if (y1 <= py === y2 <= py) continue;
+        crossings.push(x1 + ((py - y1) / (y2 - y1)) * (x2 - x1));
+      }
+      crossings.sort(function (a, b) {
+        return a - b;
+      });
+
+      const offset = y * bufferWidth;
+      for (k = 0; k + 1 < crossings.length; k += 2) {
+        /* pixel centers must fall within [start, end) */
+        const start = Math.max(bounds[0], Math.ceil(crossings[k] - 0.5));
+        const end = Math.min(bounds[2] + 1, Math.ceil(crossings[k + 1] - 0.5));
+        if (start < end) this.data.fill(color, offset + start, offset + end);
+      }
+    }
+  }
+
+  /*
+   * Copy 'image' (anything with width, height, and data, such as another
+   * buffer) with its top-left corner at (x, y), except for pixels of
+   * 'transparentColor'.
+   */
+  drawImage(image, x, y, transparentColor) {
+    const bounds = [x, y, x + image.width - 1, y + image.height - 1];
+    if (!this.__clipAndMark(bounds)) return;
+
+    const bufferWidth = this.width;
+    const imageWidth = image.width;
+    const imageData = image.data;
+    for (var row = bounds[1]; row <= bounds[3]; row++) {
+      const offset = row * bufferWidth;
+      const imageOffset = (row - y) * imageWidth - x;
+      for (var col = bounds[0]; col <= bounds[2]; col++) {
+        const color = imageData[imageOffset + col];
+        if (color !== transparentColor) this.data[offset + col] = color;
+      }
+    }
+  }
+}
@@ -0,0 +1,228 @@
+/*
+ * Declarative reactions between pairs of elements.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Many element interactions follow the same pattern: "if bordering OTHER,
+ * with some chance, become PRODUCT and turn the OTHER into OTHER_PRODUCT".
+ * Rather than hand-coding each one inside the element actions, they are
+ * listed here as data. Each reaction is registered with a spec:
+ *
+ *   reactant      the element whose action runs the reaction
+ *   other         the element it reacts with
+ *   neighborhood  where to look for the other element: REACT_BORDERING (up,
+ *                 down, left, and right) or REACT_BORDERING_ADJACENT (all 8
+ *                 neighbors, including corners)
+ *   chance        chance per frame, out of 100, as with random()
+ *   product       what the reactant turns into
+ *   otherProduct  what the other element turns into. Defaults to null, which
+ *                 leaves it unchanged.
+ *
+ * initReactions() compiles the table into flat arrays, indexed by reactant.
+ * updateElements() runs an element's reactions right after its action, unless
+ * the action moved or changed the element (ie. salt falls before it dissolves).
+ *
+ * Since reactions are data, they also generate the reaction reference page,
+ * REACTIONS.md (see tools/reactionsDoc.js).
+ */
+const REACT_BORDERING = 0;
+const REACT_BORDERING_ADJACENT = 1;
+
+const reactionSpecs = [];
+
+/* Every spec property, and its default. null means it is required. */
+const __reactionSpecDefaults = {
+  reactant: null,
+  other: null,
+  neighborhood: null,
+  chance: null,
+  product: null,
+  otherProduct: null,
+};
+
+var __reactionsInitialized = false;
+
+function registerReaction(spec) {
+  if (__reactionsInitialized)
+    throw "reactions must be registered before initReactions()";
+
+  const entry = {};
+  for (const key in spec) {
+    if (!(key in __reactionSpecDefaults))
+      throw 'Reaction: unknown property "' + key + '"';
+  }
+  for (const key in __reactionSpecDefaults) {
+    entry[key] = key in spec ? spec[key] : __reactionSpecDefaults[key];
+  }
+
+  reactionSpecs.push(entry);
+}
+
+/*
+ * Compiled reactions. Those of the element with index e are at positions
+ * [__reactionsStart[e], __reactionsEnd[e]) of the other arrays, in
+ * registration order.
+ */
+var __reactionsStart = null;
+var __reactionsEnd = null;
+var __reactionOther = null;
+var __reactionAdjacent = null;
+var __reactionChance = null;
+var __reactionProduct = null;
+var __reactionOtherProduct = null; /* 0 to leave the other element alone */
+
+function initReactions() {
+  const numReactions = reactionSpecs.length;
+  const byReactant = [];
+  for (var e = 0; e !== NUM_ELEMENTS; e++) byReactant.push([]);
+
+  for (var r = 0; r !== numReactions; r++) {
+    const spec = reactionSpecs[r];
+    const where = "Reaction " + r;
+    if (spec.reactant === null || spec.other === null || spec.product === null)
+      throw where + ": reactant, other, and product are required";
+    if (
+      elements.indexOf(spec.reactant) === -1 ||
+      elements.indexOf(spec.other) === -1 ||
+      elements.indexOf(spec.product) === -1 ||
+      (spec.otherProduct !== null && elements.indexOf(spec.otherProduct) === -1)
+    )
+      throw where + ": unknown element";
+    if (
+      spec.neighborhood !== REACT_BORDERING &&
+      spec.neighborhood !== REACT_BORDERING_ADJACENT
+    )
+      throw where + ": bad neighborhood";
+    if (!(spec.chance > 0 && spec.chance <= 100))
+      throw where + ": chance must be in (0, 100]";
+    if (spec.reactant === BACKGROUND)
+      throw where + ": BACKGROUND never runs its action";
+
+    byReactant[elementIndex(spec.reactant)].push(spec);
+  }
+
+  __reactionsStart = new Uint16Array(NUM_ELEMENTS);
+  __reactionsEnd = new Uint16Array(NUM_ELEMENTS);
+  __reactionOther = new Uint32Array(numReactions);
+  __reactionAdjacent = new Uint8Array(numReactions);
+  __reactionChance = new Float64Array(numReactions);
+  __reactionProduct = new Uint32Array(numReactions);
+  __reactionOtherProduct = new Uint32Array(numReactions);
+
+  var next = 0;
+  for (e = 0; e !== NUM_ELEMENTS; e++) {
+    const reactions = byReactant[e];
+    __reactionsStart[e] = next;
+    for (r = 0; r !== reactions.length; r++) {
+      const spec = reactions[r];
+      __reactionOther[next] = spec.other;
+      __reactionAdjacent[next] =
+        spec.neighborhood === REACT_BORDERING_ADJACENT ? 1 : 0;
+      __reactionChance[next] = spec.chance;
+      __reactionProduct[next] = spec.product;
+      __reactionOtherProduct[next] =
+        spec.otherProduct === null ? 0 : spec.otherProduct;
+      next++;
+    }
+    __reactionsEnd[e] = next;
+  }
+
+  Object.freeze(reactionSpecs);
+  __reactionsInitialized = true;
+}
+
+/*
+ * Run the reactions of the element at i, whose index is elemIdx. Like separate
+ * checks in an action, each is tried in registration order whether or not an
+ * earlier one happened, so a leaf that catches fire can still shrivel up next
+ * to salt.
+ */
+function doReactions(x, y, i, elemIdx) {
+  const end = __reactionsEnd[elemIdx];
+  for (var r = __reactionsStart[elemIdx]; r !== end; r++) {
+    if (random() >= __reactionChance[r]) continue;
+
+    const other = __reactionOther[r];
+    const otherLoc = __reactionAdjacent[r]
+      ? borderingAdjacent(x, y, i, other)
+      : bordering(x, y, i, other);
+    if (otherLoc === -1) continue;
+
+    gameImagedata32[i] = __reactionProduct[r];
+    const otherProduct = __reactionOtherProduct[r];
+    if (otherProduct) gameImagedata32[otherLoc] = otherProduct;
+  }
+}
+
+/* ============================== Reactions ============================== */
+
+/* Plants shrivel up next to salt */
+registerReaction({
+  reactant: PLANT,
+  other: SALT,
+  neighborhood: REACT_BORDERING,
+  chance: 5,
+  product: BACKGROUND,
+});
+
+/* Salt dissolves in water */
+registerReaction({
+  reactant: SALT,
+  other: WATER,
+  neighborhood: REACT_BORDERING,
+  chance: 25,
+  product: SALT_WATER,
+  otherProduct: SALT_WATER,
+});
+
+/* Soil charges nitro */
+registerReaction({
+  reactant: SOIL,
+  other: NITRO,
+  neighborhood: REACT_BORDERING,
+  chance: 25,
+  product: CHARGED_NITRO,
+  otherProduct: CHARGED_NITRO,
+});
+
+/* Branches catch fire */
+registerReaction({
+  reactant: BRANCH,
+  other: FIRE,
+  neighborhood: REACT_BORDERING_ADJACENT,
+  chance: 3,
+  product: FIRE,
+});
+
+/* Leaves catch fire */
+registerReaction({
+  reactant: LEAF,
+  other: FIRE,
+  neighborhood: REACT_BORDERING_ADJACENT,
+  chance: 5,
+  product: FIRE,
+});
+
+/* Leaves shrivel up next to salt */
+registerReaction({
+  reactant: LEAF,
+  other: SALT,
+  neighborhood: REACT_BORDERING_ADJACENT,
+  chance: 20,
+  product: BACKGROUND,
+});
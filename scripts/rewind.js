@@ -0,0 +1,199 @@
+/*
+ * Rewind timeline, for scrubbing back through recent simulation frames.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Every frame, the engine's change pass (see findCanvasChanges()) finds the
+ * pixels that changed since the previous frame, and we store just those,
+ * along with their old and new values. Most of the canvas is static from one
+ * frame to the next, so this is far smaller than storing full frames. The old
+ * values let us step backwards, and the new values let us step forwards again
+ * while scrubbing.
+ *
+ * The deltas live in a ring buffer, bounded by age, frame count, and memory.
+ *
+ * Only the canvas is recorded. Particles are discarded when resuming from a
+ * rewound frame, since they belong to the present.
+ */
+const REWIND_SECONDS = 10;
+const REWIND_MAX_FRAMES = REWIND_SECONDS * MAX_FPS;
+const REWIND_MAX_BYTES = 64 * 1024 * 1024;
+const REWIND_BYTES_PER_PIXEL = 12; /* index, old value, and new value */
+
+/* Resolution of the rewind slider */
+const REWIND_SLIDER_STEPS_PER_SECOND = 10;
+
+/* Ring buffer of frame deltas. Index 0 is the oldest frame. */
+const __rewindFrames = new Array(REWIND_MAX_FRAMES);
+var __rewindStart = 0;
+var __rewindCount = 0;
+var __rewindBytes = 0;
+
+/* Number of frames we've currently stepped back (ie. while scrubbing) */
+var __rewindFramesBack = 0;
+var __rewindScrubbing = false;
+
+function initRewind() {
+  onCanvasChanges = __rewindRecordChanges;
+
+  const slider = document.getElementById("rewindSlider");
+  slider.min = 0;
+  slider.max = REWIND_SECONDS * REWIND_SLIDER_STEPS_PER_SECOND;
+  slider.value = slider.max;
+  slider.addEventListener("input", function () {
+    const steps = parseInt(slider.max, 10) - parseInt(slider.value, 10);
+    rewindScrubTo(steps / REWIND_SLIDER_STEPS_PER_SECOND);
+  });
+  /* Fired when the slider is released */
+  slider.addEventListener("change", function () {
+    rewindResume();
+    slider.value = slider.max;
+  });
+}
+
+/* True while the user is scrubbing, in which case the game is paused */
+function isRewinding() {
+  return __rewindScrubbing;
+}
+
+function __rewindFrame(k) {
+  return __rewindFrames[(__rewindStart + k) % REWIND_MAX_FRAMES];
+}
+
+function __rewindDropOldest() {
+  const frame = __rewindFrame(0);
+  __rewindBytes -= frame.indices.length * REWIND_BYTES_PER_PIXEL;
+  __rewindFrames[__rewindStart] = null;
+  __rewindStart = (__rewindStart + 1) % REWIND_MAX_FRAMES;
+  __rewindCount--;
+}
+
+function __rewindDropNewest() {
+  const frame = __rewindFrame(__rewindCount - 1);
+  __rewindBytes -= frame.indices.length * REWIND_BYTES_PER_PIXEL;
+  __rewindFrames[(__rewindStart + __rewindCount - 1) % REWIND_MAX_FRAMES] =
+    null;
+  __rewindCount--;
+}
+
+/* Called after each change pass, to record what changed as a frame */
+function __rewindRecordChanges() {
+  const numChanged = numCanvasChanges;
+  const indices = canvasChangeIndices.slice(0, numChanged);
+  const before = canvasChangeBefore.slice(0, numChanged);
+  const after = new Uint32Array(numChanged);
+  for (var k = 0; k !== numChanged; k++) after[k] = gameImagedata32[indices[k]];
+
+  const now = performance.now();
+  if (__rewindCount === REWIND_MAX_FRAMES) __rewindDropOldest();
+  __rewindFrames[(__rewindStart + __rewindCount) % REWIND_MAX_FRAMES] = {
+    indices: indices,
+    before: before,
+    after: after,
+    time: now,
+  };
+  __rewindCount++;
+  __rewindBytes += numChanged * REWIND_BYTES_PER_PIXEL;
+
+  const oldestTime = now - REWIND_SECONDS * 1000;
+  while (
+    __rewindCount > 1 &&
+    (__rewindBytes > REWIND_MAX_BYTES || __rewindFrame(0).time < oldestTime)
+  )
+    __rewindDropOldest();
+}
+
+/*
+ * Show the canvas as it was 'secondsBack' seconds before the most recent
+ * frame (or the oldest frame we have, if that's further back than we can go).
+ * Pauses the game until rewindResume().
+ */
+function rewindScrubTo(secondsBack) {
+  /* Record whatever changed since the last frame, so we can get back to it */
+  if (!__rewindScrubbing) findCanvasChanges();
+
+  if (!__rewindCount) return;
+  __rewindScrubbing = true;
+
+  /* Find how many of the newest frames need to be undone */
+  const targetTime = __rewindFrame(__rewindCount - 1).time - secondsBack * 1000;
+  var target = 0;
+  while (
+    target !== __rewindCount &&
+    __rewindFrame(__rewindCount - 1 - target).time > targetTime
+  )
+    target++;
+
+  var frame;
+  while (__rewindFramesBack < target) {
+    frame = __rewindFrame(__rewindCount - 1 - __rewindFramesBack);
+    __applyRewindFrame(frame.indices, frame.before);
+    __rewindFramesBack++;
+  }
+  while (__rewindFramesBack > target) {
+    __rewindFramesBack--;
+    frame = __rewindFrame(__rewindCount - 1 - __rewindFramesBack);
+    __applyRewindFrame(frame.indices, frame.after);
+  }
+
+  drawRewindLabel(secondsBack);
+}
+
+function __applyRewindFrame(indices, values) {
+  const numPixels = indices.length;
+  for (var k = 0; k !== numPixels; k++) gameImagedata32[indices[k]] = values[k];
+}
+
+/*
+ * Continue the game from the frame we scrubbed to. The frames we stepped back
+ * over are discarded, since the game will now play out differently.
+ */
+function rewindResume() {
+  if (!__rewindScrubbing) return;
+  __rewindScrubbing = false;
+
+  if (__rewindFramesBack) {
+    while (__rewindFramesBack) {
+      __rewindDropNewest();
+      __rewindFramesBack--;
+    }
+    particles.inactivateAll();
+    __rewindSkipChanges();
+  }
+
+  drawRewindLabel(0);
+}
+
+/* Forget all recorded frames (ie. after loading a different scene) */
+function rewindReset() {
+  __rewindScrubbing = false;
+  __rewindFramesBack = 0;
+  while (__rewindCount) __rewindDropOldest();
+  __rewindSkipChanges();
+  drawRewindLabel(0);
+}
+
+/*
+ * Catch the engine up on changes to the canvas, without recording them as a
+ * frame (ie. after jumping to another point in time).
+ */
+function __rewindSkipChanges() {
+  onCanvasChanges = null;
+  findCanvasChanges();
+  onCanvasChanges = __rewindRecordChanges;
+}
@@ -0,0 +1,329 @@
+/*
+ * Named save slots, persisted across page reloads using IndexedDB.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Slots store the same encoded scene as exported files (see scene.js).
+ * IndexedDB is used rather than localStorage since it has far more generous
+ * limits, and can store typed arrays directly.
+ *
+ * Note that the properties of stored records are always accessed with quoted
+ * names. Otherwise, the closure compiler would rename them, and saves written
+ * by one build would be unreadable by the next.
+ */
+const SAVE_DB_NAME = "ProjectSand";
+const SAVE_DB_VERSION = 1;
+const SAVE_STORE_NAME = "saves";
+
+const SAVE_MAX_NAME_LENGTH = 40;
+const SAVE_THUMBNAIL_WIDTH = 112;
+const SAVE_THUMBNAIL_HEIGHT = Math.round(
+  (SAVE_THUMBNAIL_WIDTH * height) / width
+);
+
+/* Offscreen canvas for rendering save thumbnails */
+const saveThumbnailCanvas = document.createElement("canvas");
+saveThumbnailCanvas.width = SAVE_THUMBNAIL_WIDTH;
+saveThumbnailCanvas.height = SAVE_THUMBNAIL_HEIGHT;
+const saveThumbnailCtx = saveThumbnailCanvas.getContext("2d", {
+  alpha: false,
+});
+
+/* null until the database is opened (or if IndexedDB is unavailable) */
+var __saveDB = null;
+
+function initSaves() {
+  document.getElementById("saveManagerClose").onclick = closeSaveManager;
+
+  const nameInput = document.getElementById("saveNameInput");
+  nameInput.maxLength = SAVE_MAX_NAME_LENGTH;
+  const saveNew = function () {
+    const name = nameInput.value.trim();
+    if (!name) {
+      nameInput.focus();
+      return;
+    }
+    saveToSlot(-1, name);
+    nameInput.value = "";
+  };
+  document.getElementById("saveNewButton").onclick = saveNew;
+  nameInput.addEventListener("keydown", function (e) {
+    if (e.key === "Enter") saveNew();
+    else if (e.key === "Escape") closeSaveManager();
+  });
+
+  document.getElementById("sceneExportButton").onclick = function () {
+    exportSceneFile(nameInput.value.trim());
+  };
+  const importInput = document.getElementById("sceneImportInput");
+  document.getElementById("sceneImportButton").onclick = function () {
+    importInput.click();
+  };
+  importInput.addEventListener("change", function () {
+    if (importInput.files.length) importSceneFile(importInput.files[0]);
+    /* allow re-importing the same file */
+    importInput.value = "";
+  });
+
+  if (!window.indexedDB) {
+    drawSaveStatus("Saving is not supported by this browser.");
+    return;
+  }
+
+  const request = window.indexedDB.open(SAVE_DB_NAME, SAVE_DB_VERSION);
+  request.onupgradeneeded = function () {
+    request.result.createObjectStore(SAVE_STORE_NAME, {
+      keyPath: "id",
+      autoIncrement: true,
+    });
+  };
+  request.onsuccess = function () {
+    __saveDB = request.result;
+    refreshSaveSlots();
+  };
+  request.onerror = function () {
+    /* ie. private browsing modes may refuse to open the database */
+    drawSaveStatus("Unable to open save storage.");
+  };
+}
+
+/* Show the save manager. 'forSave' focuses the name box for a new save. */
+function openSaveManager(forSave) {
+  document.getElementById("saveManager").style.display = "block";
+  refreshSaveSlots();
+
+  const nameInput = document.getElementById("saveNameInput");
+  if (forSave) nameInput.focus();
+  else nameInput.blur();
+}
+
+function closeSaveManager() {
+  document.getElementById("saveManager").style.display = "none";
+}
+
+function __saveStore(mode) {
+  return __saveDB
+    .transaction(SAVE_STORE_NAME, mode)
+    .objectStore(SAVE_STORE_NAME);
+}
+
+function __renderSaveThumbnail() {
+  /* Show the scene itself, even in the thermal view */
+  if (THERMAL_VIEW_ENABLED) gameCtx.putImageData(gameImagedata, 0, 0);
+
+  saveThumbnailCtx.drawImage(
+    gameCanvas,
+    0,
+    0,
+    SAVE_THUMBNAIL_WIDTH,
+    SAVE_THUMBNAIL_HEIGHT
+  );
+  return saveThumbnailCanvas.toDataURL("image/png");
+}
+
+/*
+ * Save the current game state. If 'id' is -1, a new slot is created.
+ * Otherwise, the given slot is overwritten.
+ */
+function saveToSlot(id, name) {
+  if (!__saveDB) return;
+
+  const record = {};
+  record["name"] = name.substring(0, SAVE_MAX_NAME_LENGTH);
+  record["timestamp"] = Date.now();
+  record["scene"] = encodeScene();
+  record["thumbnail"] = __renderSaveThumbnail();
+  if (id !== -1) record["id"] = id;
+
+  const request = __saveStore("readwrite").put(record);
+  request.onsuccess = function () {
+    drawSaveStatus('Saved "' + record["name"] + '"');
+    refreshSaveSlots();
+  };
+  request.onerror = function () {
+    drawSaveStatus("Save failed (storage may be full).");
+  };
+}
+
+function loadFromSlot(id) {
+  if (!__saveDB) return;
+
+  const request = __saveStore("readonly").get(id);
+  request.onsuccess = function () {
+    const record = request.result;
+    if (!record) {
+      drawSaveStatus("That save no longer exists.");
+      refreshSaveSlots();
+      return;
+    }
+    try {
+      loadScene(decodeScene(record["scene"]));
+    } catch (err) {
+      drawSaveStatus("Unable to load save: " + err);
+      return;
+    }
+    closeSaveManager();
+  };
+}
+
+function renameSlot(id, name) {
+  if (!__saveDB) return;
+
+  const store = __saveStore("readwrite");
+  const request = store.get(id);
+  request.onsuccess = function () {
+    const record = request.result;
+    if (!record) return;
+    record["name"] = name.substring(0, SAVE_MAX_NAME_LENGTH);
+    store.put(record).onsuccess = refreshSaveSlots;
+  };
+}
+
+function deleteSlot(id) {
+  if (!__saveDB) return;
+
+  __saveStore("readwrite").delete(id).onsuccess = refreshSaveSlots;
+}
+
+/* Rebuild the list of save slots, most recent first */
+function refreshSaveSlots() {
+  if (!__saveDB) return;
+
+  const request = __saveStore("readonly").getAll();
+  request.onsuccess = function () {
+    const records = request.result;
+    records.sort(function (a, b) {
+      return b["timestamp"] - a["timestamp"];
+    });
+
+    const table = document.getElementById("saveSlotTable");
+    while (table.rows.length) table.deleteRow(0);
+
+    if (!records.length) {
+      const cell = table.insertRow(0).insertCell(0);
+      cell.className = "saveSlotEmpty";
+      cell.innerText = "No saves yet.";
+      return;
+    }
+
+    const numRecords = records.length;
+    for (var i = 0; i !== numRecords; i++) {
+      __addSaveSlotRow(table, records[i]);
+    }
+  };
+}
+
+function __addSaveSlotRow(table, record) {
+  const id = record["id"];
+  const name = record["name"];
+  const row = table.insertRow(table.rows.length);
+
+  const thumbnail = document.createElement("img");
+  thumbnail.src = record["thumbnail"];
+  thumbnail.className = "saveSlotThumbnail";
+  thumbnail.title = "Load";
+  thumbnail.onclick = function () {
+    loadFromSlot(id);
+  };
+  row.insertCell(0).appendChild(thumbnail);
+
+  const infoCell = row.insertCell(1);
+  const nameLabel = document.createElement("div");
+  nameLabel.className = "saveSlotName";
+  nameLabel.innerText = name;
+  infoCell.appendChild(nameLabel);
+  const dateLabel = document.createElement("div");
+  dateLabel.className = "saveSlotDate";
+  dateLabel.innerText = new Date(record["timestamp"]).toLocaleString();
+  infoCell.appendChild(dateLabel);
+
+  const buttons = [
+    [
+      "Load",
+      function () {
+        loadFromSlot(id);
+      },
+    ],
+    [
+      "Overwrite",
+      function () {
+        if (window.confirm('Overwrite "' + name + '"?')) saveToSlot(id, name);
+      },
+    ],
+    [
+      "Rename",
+      function () {
+        const newName = window.prompt("Rename save", name);
+        if (newName && newName.trim()) renameSlot(id, newName.trim());
+      },
+    ],
+    [
+      "Delete",
+      function () {
+        if (window.confirm('Delete "' + name + '"?')) deleteSlot(id);
+      },
+    ],
+  ];
+  const buttonCell = row.insertCell(2);
+  const numButtons = buttons.length;
+  for (var i = 0; i !== numButtons; i++) {
+    const button = document.createElement("input");
+    button.type = "button";
+    button.className = "optionButton saveSlotButton";
+    button.value = buttons[i][0];
+    button.onclick = buttons[i][1];
+    buttonCell.appendChild(button);
+  }
+}
+
+/* Download the current game as a scene file */
+function exportSceneFile(name) {
+  const fileName = (name || "scene").replace(/[^\w\- ]/g, "_");
+  const blob = new Blob([encodeScene()], { type: "application/octet-stream" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName + SCENE_FILE_EXTENSION;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+function importSceneFile(file) {
+  const reader = new FileReader();
+  reader.onload = function () {
+    try {
+      loadScene(decodeScene(new Uint8Array(reader.result)));
+    } catch (err) {
+      drawSaveStatus('Unable to import "' + file.name + '": ' + err);
+      return;
+    }
+    drawSaveStatus("");
+    closeSaveManager();
+  };
+  reader.onerror = function () {
+    drawSaveStatus('Unable to read "' + file.name + '"');
+  };
+  reader.readAsArrayBuffer(file);
+}
+
+function drawSaveStatus(text) {
+  document.getElementById("saveStatus").innerText = text;
+}
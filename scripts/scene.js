@@ -0,0 +1,352 @@
+/*
+ * Portable scene files, for moving a game between browsers or machines.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * File layout. Numbers are unsigned LEB128 varints, unless marked as a float
+ * (little-endian float64).
+ *
+ *   "PSND"                   magic
+ *   version
+ *   width, height
+ *   fps setting
+ *   spigot count, then (element index, size) per spigot
+ *   (element index, run length) pairs, covering width * height pixels in
+ *   row-major order starting from the top-left corner
+ *
+ * Since version 2:
+ *   particle count, then per particle in update order:
+ *     type, color element index, PARTICLE_STATE_LENGTH floats
+ *   zombie count, then per zombie:
+ *     zombie state, ZOMBIE_STATE_LENGTH floats
+ *
+ * Pixels are stored as indices into the elements array rather than colors,
+ * so that files remain loadable even if an element color is later tweaked.
+ * Most of a canvas is BACKGROUND, which run-length encoding reduces to
+ * almost nothing.
+ *
+ * Bump SCENE_VERSION whenever the layout changes, and keep decodeScene()
+ * able to read older versions.
+ */
+const SCENE_MAGIC = "PSND";
+const SCENE_VERSION = 2;
+const SCENE_FILE_EXTENSION = ".psnd";
+
+/* Guards against allocating absurd canvases from corrupt files */
+const SCENE_MAX_DIMENSION = 8192;
+
+/* Scratch space for converting floats to and from bytes */
+const __sceneFloatBytes = new Uint8Array(8);
+const __sceneFloatView = new DataView(__sceneFloatBytes.buffer);
+
+class SceneWriter {
+  constructor() {
+    this.bytes = new Uint8Array(4096);
+    this.length = 0;
+  }
+
+  byte(b) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = b;
+  }
+
+  float(n) {
+    __sceneFloatView.setFloat64(0, n, true);
+    for (var i = 0; i !== 8; i++) this.byte(__sceneFloatBytes[i]);
+  }
+
+  varint(n) {
+    while (n >= 0x80) {
+      this.byte((n & 0x7f) | 0x80);
+      n = Math.floor(n / 128);
+    }
+    this.byte(n);
+  }
+
+  /* Returns the written bytes, trimmed to length */
+  finish() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+class SceneReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length)
+      throw "Invalid scene file: unexpected end of file";
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    var result = 0;
+    var scale = 1;
+    for (var i = 0; i !== 5; i++) {
+      const b = this.byte();
+      result += (b & 0x7f) * scale;
+      if (!(b & 0x80)) return result;
+      scale *= 128;
+    }
+    throw "Invalid scene file: malformed number at byte " + this.offset;
+  }
+
+  float() {
+    for (var i = 0; i !== 8; i++) __sceneFloatBytes[i] = this.byte();
+    return __sceneFloatView.getFloat64(0, true);
+  }
+
+  atEnd() {
+    return this.offset === this.bytes.length;
+  }
+}
+
+function __writeFloats(writer, values) {
+  const numValues = values.length;
+  for (var i = 0; i !== numValues; i++) writer.float(values[i]);
+}
+
+function __readFloats(reader, count) {
+  const values = new Float64Array(count);
+  for (var i = 0; i !== count; i++) values[i] = reader.float();
+  return values;
+}
+
+/* Returns the element for a stored index, or throws if there is none */
+function __sceneElement(idx, where) {
+  if (idx >= NUM_ELEMENTS)
+    throw (
+      "Invalid scene file: unknown element index " +
+      idx +
+      " " +
+      where +
+      " (this game has " +
+      NUM_ELEMENTS +
+      " elements)"
+    );
+  return elements[idx];
+}
+
+/* Serializes the current canvas and settings. Returns a Uint8Array. */
+function encodeScene() {
+  const writer = new SceneWriter();
+
+  for (var i = 0; i !== SCENE_MAGIC.length; i++)
+    writer.byte(SCENE_MAGIC.charCodeAt(i));
+  writer.varint(SCENE_VERSION);
+  writer.varint(width);
+  writer.varint(height);
+  writer.varint(fpsSetting);
+
+  writer.varint(NUM_SPIGOTS);
+  for (i = 0; i !== NUM_SPIGOTS; i++) {
+    writer.varint(elementIndex(SPIGOT_ELEMENTS[i]));
+    writer.varint(SPIGOT_SIZES[i]);
+  }
+
+  const iterEnd = MAX_IDX + 1;
+  i = 0;
+  while (i !== iterEnd) {
+    const elem = gameImagedata32[i];
+    var runEnd = i + 1;
+    while (runEnd !== iterEnd && gameImagedata32[runEnd] === elem) runEnd++;
+
+    const idx = elementIndex(elem);
+    if (elements[idx] !== elem) throw "canvas contains an unknown element";
+    writer.varint(idx);
+    writer.varint(runEnd - i);
+    i = runEnd;
+  }
+
+  writer.varint(particles.activeSize);
+  var particle = particles.activeHead;
+  while (particle) {
+    writer.varint(particle.type);
+    writer.varint(elementIndex(particle.color));
+    __writeFloats(writer, particle.saveState());
+    particle = particle.next;
+  }
+
+  const numZombies = zombies.length;
+  writer.varint(numZombies);
+  for (i = 0; i !== numZombies; i++) {
+    writer.varint(zombies[i].state);
+    __writeFloats(writer, zombies[i].saveState());
+  }
+
+  return writer.finish();
+}
+
+/*
+ * Parses and validates a scene produced by encodeScene(). Throws a
+ * descriptive string if the file is malformed or references anything this
+ * game doesn't have. Nothing is applied to the game; see loadScene().
+ */
+function decodeScene(bytes) {
+  const reader = new SceneReader(bytes);
+
+  for (var i = 0; i !== SCENE_MAGIC.length; i++) {
+    if (reader.byte() !== SCENE_MAGIC.charCodeAt(i))
+      throw "Not a Project Sand scene file";
+  }
+
+  const version = reader.varint();
+  if (version === 0 || version > SCENE_VERSION)
+    throw (
+      "Unsupported scene file version " +
+      version +
+      " (expected at most " +
+      SCENE_VERSION +
+      ")"
+    );
+
+  const sceneWidth = reader.varint();
+  const sceneHeight = reader.varint();
+  if (
+    sceneWidth === 0 ||
+    sceneHeight === 0 ||
+    sceneWidth > SCENE_MAX_DIMENSION ||
+    sceneHeight > SCENE_MAX_DIMENSION
+  )
+    throw (
+      "Invalid scene file: bad dimensions " + sceneWidth + "x" + sceneHeight
+    );
+
+  const fps = reader.varint();
+  if (fps > MAX_FPS)
+    throw "Invalid scene file: FPS setting " + fps + " exceeds " + MAX_FPS;
+
+  const numSpigots = reader.varint();
+  const spigotElements = [];
+  const spigotSizes = [];
+  for (i = 0; i !== numSpigots; i++) {
+    const where = "for spigot " + (i + 1);
+    const elem = __sceneElement(reader.varint(), where);
+    if (SPIGOT_ELEMENT_OPTIONS.indexOf(elem) === -1)
+      throw (
+        "Invalid scene file: " + elementName(elem) + " is not valid " + where
+      );
+    const size = reader.varint();
+    if (SPIGOT_SIZE_OPTIONS.indexOf(size) === -1)
+      throw "Invalid scene file: bad size " + size + " " + where;
+    spigotElements.push(elem);
+    spigotSizes.push(size);
+  }
+
+  const numPixels = sceneWidth * sceneHeight;
+  const pixels = new Uint32Array(numPixels);
+  var pixel = 0;
+  while (pixel !== numPixels) {
+    const elem = __sceneElement(reader.varint(), "at pixel " + pixel);
+    const runLength = reader.varint();
+    if (runLength === 0 || runLength > numPixels - pixel)
+      throw "Invalid scene file: bad run length at pixel " + pixel;
+    pixels.fill(elem, pixel, pixel + runLength);
+    pixel += runLength;
+  }
+
+  const savedParticles = [];
+  const savedZombies = [];
+  if (version >= 2) {
+    const numParticles = reader.varint();
+    if (numParticles > MAX_NUM_PARTICLES)
+      throw "Invalid scene file: too many particles (" + numParticles + ")";
+    for (i = 0; i !== numParticles; i++) {
+      const where = "for particle " + i;
+      const type = reader.varint();
+      if (type === UNKNOWN_PARTICLE || type >= __particleInit.length)
+        throw "Invalid scene file: unknown particle type " + type;
+      const color = __sceneElement(reader.varint(), where);
+      if (!(color in PAINTABLE_PARTICLE_COLORS))
+        throw "Invalid scene file: bad color " + where;
+      const state = __readFloats(reader, PARTICLE_STATE_LENGTH);
+      if (!Particle.validState(type, state, sceneWidth, sceneHeight))
+        throw "Invalid scene file: bad state " + where;
+      savedParticles.push({ type: type, color: color, state: state });
+    }
+
+    const numZombies = reader.varint();
+    if (numZombies > MAX_ZOMBIES)
+      throw "Invalid scene file: too many zombies (" + numZombies + ")";
+    for (i = 0; i !== numZombies; i++) {
+      const zombieState = reader.varint();
+      if (zombieState >= NUM_ZOMBIE_STATES)
+        throw "Invalid scene file: bad state for zombie " + i;
+      const state = __readFloats(reader, ZOMBIE_STATE_LENGTH);
+      if (!state.every(isFinite))
+        throw "Invalid scene file: bad position for zombie " + i;
+      savedZombies.push({ zombieState: zombieState, state: state });
+    }
+  }
+
+  if (!reader.atEnd()) throw "Invalid scene file: trailing data";
+
+  return {
+    width: sceneWidth,
+    height: sceneHeight,
+    fps: fps,
+    spigotElements: spigotElements,
+    spigotSizes: spigotSizes,
+    pixels: pixels,
+    particles: savedParticles,
+    zombies: savedZombies,
+  };
+}
+
+/*
+ * Applies a scene returned by decodeScene() to the running game. The undo
+ * history and rewind timeline belong to the previous scene, so they are
+ * discarded.
+ */
+function loadScene(scene) {
+  historyReset();
+  loadGameCanvas(scene.pixels, scene.width, scene.height);
+  rewindReset();
+
+  const numSpigots = Math.min(NUM_SPIGOTS, scene.spigotElements.length);
+  for (var i = 0; i !== numSpigots; i++) {
+    SPIGOT_ELEMENTS[i] = scene.spigotElements[i];
+    SPIGOT_SIZES[i] = scene.spigotSizes[i];
+  }
+  setFPS(scene.fps);
+
+  /* Keep things aligned to the bottom, like loadGameCanvas() */
+  const yOffset = height - scene.height;
+
+  /* loadGameCanvas() already cleared any active particles */
+  for (i = scene.particles.length - 1; i !== -1; i--) {
+    const saved = scene.particles[i];
+    particles.restoreParticle(saved.type, saved.color, saved.state, yOffset);
+  }
+
+  const numZombies = scene.zombies.length;
+  setZombieCount(0);
+  setZombieCount(numZombies);
+  for (i = 0; i !== numZombies; i++) {
+    const saved = scene.zombies[i];
+    zombies[i].restoreState(saved.zombieState, saved.state, yOffset);
+  }
+
+  syncMenuSettings();
+}
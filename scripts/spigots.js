@@ -17,21 +17,8 @@
  * along with this program.  If not, see <https://www.gnu.org/licenses/>.
  */
 
-/* Menu options for the spigots */
-const SPIGOT_ELEMENT_OPTIONS = [
-  SAND,
-  WATER,
-  SALT,
-  OIL,
-  GUNPOWDER,
-  NITRO,
-  NAPALM,
-  CONCRETE,
-  LAVA,
-  CRYO,
-  ACID,
-  MYSTERY,
-];
+/* Menu options for the spigots. Filled from the element registry. */
+const SPIGOT_ELEMENT_OPTIONS = [];
 const SPIGOT_SIZE_OPTIONS = [0, 5, 10, 15, 20, 25];
 const DEFAULT_SPIGOT_SIZE_IDX = 1;
 
@@ -50,8 +37,15 @@ const SPIGOTS_ENABLED =
   MAX_SPIGOT_WIDTH * NUM_SPIGOTS <= width && SPIGOT_HEIGHT <= height;
 
 function initSpigots() {
+  const numSpecs = elementSpecs.length;
+  for (var i = 0; i !== numSpecs; i++) {
+    if (elementSpecs[i].spigot)
+      SPIGOT_ELEMENT_OPTIONS.push(elementSpecs[i].color);
+  }
+  Object.freeze(SPIGOT_ELEMENT_OPTIONS);
+
   const defaultSize = SPIGOT_SIZE_OPTIONS[DEFAULT_SPIGOT_SIZE_IDX];
-  for (var i = 0; i !== NUM_SPIGOTS; i++) {
+  for (i = 0; i !== NUM_SPIGOTS; i++) {
     SPIGOT_SIZES.push(defaultSize);
   }
 }
@@ -0,0 +1,453 @@
+/*
+ * Temperature field, with heat conduction between neighboring pixels.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Every pixel has a temperature, in gameTemperature. Each frame, heat flows
+ * between neighboring pixels, at a rate set by the conductivity of both
+ * elements, and changes their temperature in inverse proportion to their heat
+ * capacity (see the element registry in elements.js).
+ *
+ * BACKGROUND is air at a constant AMBIENT_TEMPERATURE. It slowly carries heat
+ * away from (or brings heat to) whatever it borders, so hot things in the
+ * open eventually cool, while big masses hold their heat for a long time.
+ *
+ * Temperatures are in degrees, with everything starting out at ambient (20),
+ * but the numbers are tuned for gameplay rather than physics. For example,
+ * ICE is stable at room temperature.
+ *
+ * A temperature belongs to the element at its pixel. The movement helpers
+ * (doGravity(), doDensity(), etc.) carry it along with the element, via
+ * swapTemperature(). When an element appears any other way (ie. it is drawn,
+ * or an action turns one element into another), it starts at the initial
+ * temperature of its spec.
+ *
+ * State changes (ie. WATER boiling into STEAM) happen when an element's
+ * temperature crosses a threshold, and are registered as data below. The
+ * product keeps the temperature it changed at.
+ *
+ * Like element actions, heat only flows in awake chunks of the canvas (see
+ * engine.js). Flowing heat keeps its chunk awake, and wakes sleeping chunks
+ * that it flows into.
+ */
+const AMBIENT_TEMPERATURE = 20;
+
+/* Conductivity of BACKGROUND (air) */
+const AIR_CONDUCTIVITY = 0.02;
+
+/*
+ * Fraction of a temperature difference that flows between two pixels of
+ * conductivity 1 each frame. With up to 4 neighbors, anything higher can
+ * overshoot and oscillate.
+ */
+const __MAX_HEAT_FLOW = 0.25;
+
+/* Temperature changes smaller than this don't keep chunks awake */
+const TEMPERATURE_WAKE_DELTA = 0.05;
+
+var gameTemperature = null;
+
+/* The element each temperature belongs to, to notice new elements */
+var __temperatureOwners = null;
+
+/* By element index. Built by initTemperature(). */
+var __heatFlow = null; /* conductivity * __MAX_HEAT_FLOW */
+var __inverseHeatCapacity = null;
+var __initialTemperature = null;
+var __heatSource = null;
+var __changeAbove = null;
+var __changeAboveInto = null;
+var __changeBelow = null;
+var __changeBelowInto = null;
+
+/*
+ * State changes. Each is registered with a spec:
+ *
+ *   element  the element that changes
+ *   above    changes once hotter than this, or
+ *   below    changes once colder than this
+ *   product  what it changes into
+ */
+const stateChangeSpecs = [];
+
+const __stateChangeSpecDefaults = {
+  element: null,
+  above: null,
+  below: null,
+  product: null,
+};
+
+var __temperatureInitialized = false;
+
+function registerStateChange(spec) {
+  if (__temperatureInitialized)
+    throw "state changes must be registered before initTemperature()";
+
+  const entry = {};
+  for (const key in spec) {
+    if (!(key in __stateChangeSpecDefaults))
+      throw 'State change: unknown property "' + key + '"';
+  }
+  for (const key in __stateChangeSpecDefaults) {
+    entry[key] = key in spec ? spec[key] : __stateChangeSpecDefaults[key];
+  }
+
+  stateChangeSpecs.push(entry);
+}
+
+function initTemperature() {
+  gameTemperature = new Float32Array(width * height);
+  gameTemperature.fill(AMBIENT_TEMPERATURE);
+  __temperatureOwners = new Uint32Array(width * height);
+
+  __heatFlow = new Float32Array(NUM_ELEMENTS);
+  __inverseHeatCapacity = new Float32Array(NUM_ELEMENTS);
+  __initialTemperature = new Float32Array(NUM_ELEMENTS);
+  __heatSource = new Uint8Array(NUM_ELEMENTS);
+  __changeAbove = new Float32Array(NUM_ELEMENTS).fill(Infinity);
+  __changeAboveInto = new Uint32Array(NUM_ELEMENTS);
+  __changeBelow = new Float32Array(NUM_ELEMENTS).fill(-Infinity);
+  __changeBelowInto = new Uint32Array(NUM_ELEMENTS);
+
+  for (var e = 0; e !== NUM_ELEMENTS; e++) {
+    const spec = elementSpecs[e];
+    if (!(spec.conductivity >= 0 && spec.conductivity <= 1))
+      throw 'Element "' + spec.name + '": conductivity must be in [0, 1]';
+    if (!(spec.heatCapacity >= 1))
+      throw 'Element "' + spec.name + '": heat capacity must be at least 1';
+
+    __heatFlow[e] = spec.conductivity * __MAX_HEAT_FLOW;
+    __inverseHeatCapacity[e] = 1 / spec.heatCapacity;
+    __initialTemperature[e] =
+      spec.temperature === null ? AMBIENT_TEMPERATURE : spec.temperature;
+    __heatSource[e] = spec.heatSource ? 1 : 0;
+  }
+
+  const numChanges = stateChangeSpecs.length;
+  for (var c = 0; c !== numChanges; c++) {
+    const spec = stateChangeSpecs[c];
+    const where = "State change " + c;
+    if (
+      elements.indexOf(spec.element) === -1 ||
+      elements.indexOf(spec.product) === -1
+    )
+      throw where + ": unknown element";
+    if ((spec.above === null) === (spec.below === null))
+      throw where + ": needs exactly one of above and below";
+
+    const idx = elementIndex(spec.element);
+    if (spec.above !== null) {
+      if (__changeAbove[idx] !== Infinity)
+        throw where + ": " + elementName(spec.element) + " already has one";
+      __changeAbove[idx] = spec.above;
+      __changeAboveInto[idx] = spec.product;
+    } else {
+      if (__changeBelow[idx] !== -Infinity)
+        throw where + ": " + elementName(spec.element) + " already has one";
+      __changeBelow[idx] = spec.below;
+      __changeBelowInto[idx] = spec.product;
+    }
+  }
+
+  Object.freeze(stateChangeSpecs);
+  __temperatureInitialized = true;
+}
+
+/*
+ * Forget every temperature, when the canvas is cleared or replaced. Each
+ * element goes back to the initial temperature of its spec.
+ */
+function resetTemperature() {
+  gameTemperature.fill(AMBIENT_TEMPERATURE);
+  __temperatureOwners.fill(0);
+}
+
+/* Swap the temperatures of two pixels, whose elements are being swapped */
+function swapTemperature(a, b) {
+  const temperature = gameTemperature;
+  const owners = __temperatureOwners;
+
+  const t = temperature[a];
+  temperature[a] = temperature[b];
+  temperature[b] = t;
+
+  const owner = owners[a];
+  owners[a] = owners[b];
+  owners[b] = owner;
+}
+
+/* Conduct heat for a single frame, and apply any resulting state changes */
+function updateTemperature() {
+  for (var chunkY = 0; chunkY !== CHUNK_ROWS; chunkY++) {
+    const yStart = chunkY * CHUNK_SIZE;
+    const yEnd = Math.min(yStart + CHUNK_SIZE, height);
+    for (var chunkX = 0; chunkX !== CHUNK_COLS; chunkX++) {
+      const xStart = chunkX * CHUNK_SIZE;
+      if (!isChunkAwake(xStart, yStart)) continue;
+
+      const xEnd = Math.min(xStart + CHUNK_SIZE, width);
+      if (__conductChunk(xStart, yStart, xEnd, yEnd)) wakeChunk(xStart, yStart);
+    }
+  }
+}
+
+/*
+ * Each pixel exchanges heat with the pixels to its right and below, which
+ * covers every pair once. Pixels on the left and top edges of the chunk also
+ * exchange with their neighbors in sleeping chunks, which won't do it
+ * themselves. Returns true if any temperature changed noticeably.
+ */
+function __conductChunk(xStart, yStart, xEnd, yEnd) {
+  const temperature = gameTemperature;
+  const owners = __temperatureOwners;
+  const heatFlow = __heatFlow;
+  const inverseHeatCapacity = __inverseHeatCapacity;
+  const airFlow = AIR_CONDUCTIVITY * __MAX_HEAT_FLOW;
+  const leftAsleep = xStart !== 0 && !isChunkAwake(xStart - 1, yStart);
+  const upAsleep = yStart !== 0 && !isChunkAwake(xStart, yStart - 1);
+  var maxChange = 0;
+
+  for (var y = yStart; y !== yEnd; y++) {
+    var i = y * width + xStart;
+    for (var x = xStart; x !== xEnd; x++, i++) {
+      const elem = gameImagedata32[i];
+      if (elem === BACKGROUND) continue;
+
+      const idx = elementIndex(elem);
+      if (owners[i] !== elem || __heatSource[idx]) {
+        owners[i] = elem;
+        temperature[i] = __initialTemperature[idx];
+      }
+
+      const flow = heatFlow[idx];
+      const inverseCapacity = inverseHeatCapacity[idx];
+      const before = temperature[i];
+      var t = before;
+      var j, other, otherIdx, pairFlow, flux;
+
+      /*
+       * Most pixels are at the same temperature as their surroundings, so we
+       * skip the work for neighbors that no heat would flow to.
+       */
+
+      /* air */
+      if (t !== AMBIENT_TEMPERATURE) {
+        var numAir = 0;
+        if (x !== 0 && gameImagedata32[i - 1] === BACKGROUND) numAir++;
+        if (x !== MAX_X_IDX && gameImagedata32[i + 1] === BACKGROUND) numAir++;
+        if (y !== 0 && gameImagedata32[i - width] === BACKGROUND) numAir++;
+        if (y !== MAX_Y_IDX && gameImagedata32[i + width] === BACKGROUND)
+          numAir++;
+        if (numAir !== 0)
+          t +=
+            numAir *
+            (flow < airFlow ? flow : airFlow) *
+            (AMBIENT_TEMPERATURE - t) *
+            inverseCapacity;
+      }
+
+      /* right */
+      if (x !== MAX_X_IDX && temperature[i + 1] !== t) {
+        j = i + 1;
+        other = gameImagedata32[j];
+        if (other !== BACKGROUND) {
+          otherIdx = elementIndex(other);
+          pairFlow = flow < heatFlow[otherIdx] ? flow : heatFlow[otherIdx];
+          flux = pairFlow * (temperature[j] - t);
+          t += flux * inverseCapacity;
+          temperature[j] -= flux * inverseHeatCapacity[otherIdx];
+          if (
+            x === xEnd - 1 &&
+            Math.abs(flux * inverseHeatCapacity[otherIdx]) >
+              TEMPERATURE_WAKE_DELTA
+          )
+            wakeChunk(x + 1, y);
+        }
+      }
+
+      /* below */
+      if (y !== MAX_Y_IDX && temperature[i + width] !== t) {
+        j = i + width;
+        other = gameImagedata32[j];
+        if (other !== BACKGROUND) {
+          otherIdx = elementIndex(other);
+          pairFlow = flow < heatFlow[otherIdx] ? flow : heatFlow[otherIdx];
+          flux = pairFlow * (temperature[j] - t);
+          t += flux * inverseCapacity;
+          temperature[j] -= flux * inverseHeatCapacity[otherIdx];
+          if (
+            y === yEnd - 1 &&
+            Math.abs(flux * inverseHeatCapacity[otherIdx]) >
+              TEMPERATURE_WAKE_DELTA
+          )
+            wakeChunk(x, y + 1);
+        }
+      }
+
+      /* left, in a sleeping chunk */
+      if (leftAsleep && x === xStart && temperature[i - 1] !== t) {
+        j = i - 1;
+        other = gameImagedata32[j];
+        if (other !== BACKGROUND) {
+          otherIdx = elementIndex(other);
+          pairFlow = flow < heatFlow[otherIdx] ? flow : heatFlow[otherIdx];
+          flux = pairFlow * (temperature[j] - t);
+          t += flux * inverseCapacity;
+          temperature[j] -= flux * inverseHeatCapacity[otherIdx];
+          if (
+            Math.abs(flux * inverseHeatCapacity[otherIdx]) >
+            TEMPERATURE_WAKE_DELTA
+          )
+            wakeChunk(x - 1, y);
+        }
+      }
+
+      /* above, in a sleeping chunk */
+      if (upAsleep && y === yStart && temperature[i - width] !== t) {
+        j = i - width;
+        other = gameImagedata32[j];
+        if (other !== BACKGROUND) {
+          otherIdx = elementIndex(other);
+          pairFlow = flow < heatFlow[otherIdx] ? flow : heatFlow[otherIdx];
+          flux = pairFlow * (temperature[j] - t);
+          t += flux * inverseCapacity;
+          temperature[j] -= flux * inverseHeatCapacity[otherIdx];
+          if (
+            Math.abs(flux * inverseHeatCapacity[otherIdx]) >
+            TEMPERATURE_WAKE_DELTA
+          )
+            wakeChunk(x, y - 1);
+        }
+      }
+
+      temperature[i] = t;
+      const change = t > before ? t - before : before - t;
+      if (change > maxChange) maxChange = change;
+
+      if (t > __changeAbove[idx]) {
+        gameImagedata32[i] = __changeAboveInto[idx];
+        owners[i] = __changeAboveInto[idx];
+      } else if (t < __changeBelow[idx]) {
+        gameImagedata32[i] = __changeBelowInto[idx];
+        owners[i] = __changeBelowInto[idx];
+      }
+    }
+  }
+
+  return maxChange > TEMPERATURE_WAKE_DELTA;
+}
+
+/* ============================= Thermal view ============================= */
+
+/*
+ * Colors for renderThermalView(), as [temperature, r, g, b] stops from coldest
+ * to hottest. Temperatures between two stops blend between their colors.
+ * Ambient is a dark violet, so that matter at room temperature still stands
+ * out from the (black) air.
+ */
+const THERMAL_VIEW_STOPS = [
+  [-200, 220, 245, 255],
+  [-50, 0, 90, 255],
+  [0, 0, 20, 150],
+  [AMBIENT_TEMPERATURE, 30, 0, 60],
+  [100, 150, 0, 150],
+  [300, 235, 0, 40],
+  [800, 255, 150, 0],
+  [2500, 255, 255, 230],
+];
+
+/* Degrees per entry of the palette */
+const __THERMAL_PALETTE_STEP = 4;
+
+const __thermalPaletteMin = THERMAL_VIEW_STOPS[0][0];
+const __thermalPalette = __buildThermalPalette();
+
+function __buildThermalPalette() {
+  const numStops = THERMAL_VIEW_STOPS.length;
+  const max = THERMAL_VIEW_STOPS[numStops - 1][0];
+  const size =
+    Math.floor((max - __thermalPaletteMin) / __THERMAL_PALETTE_STEP) + 1;
+  const palette = new Uint32Array(size);
+
+  var stop = 1;
+  for (var p = 0; p !== size; p++) {
+    const t = __thermalPaletteMin + p * __THERMAL_PALETTE_STEP;
+    while (stop !== numStops - 1 && t > THERMAL_VIEW_STOPS[stop][0]) stop++;
+
+    const lo = THERMAL_VIEW_STOPS[stop - 1];
+    const hi = THERMAL_VIEW_STOPS[stop];
+    const f = Math.min(1, (t - lo[0]) / (hi[0] - lo[0]));
+    const r = Math.round(lo[1] + f * (hi[1] - lo[1]));
+    const g = Math.round(lo[2] + f * (hi[2] - lo[2]));
+    const b = Math.round(lo[3] + f * (hi[3] - lo[3]));
+    palette[p] = (0xff000000 | (b << 16) | (g << 8) | r) >>> 0;
+  }
+  return palette;
+}
+
+/*
+ * Draw the canvas as a heat map into 'out32' (RGBA pixels, like
+ * gameImagedata32), for seeing where heat is and where it's flowing. Air is
+ * drawn black. Doesn't affect the game.
+ */
+function renderThermalView(out32) {
+  const temperature = gameTemperature;
+  const owners = __temperatureOwners;
+  const palette = __thermalPalette;
+  const maxEntry = palette.length - 1;
+  const iterEnd = MAX_IDX + 1;
+
+  for (var i = 0; i !== iterEnd; i++) {
+    const elem = gameImagedata32[i];
+    if (elem === BACKGROUND) {
+      out32[i] = 0xff000000;
+      continue;
+    }
+
+    /*
+     * Elements that appeared since the last update (or that aren't elements,
+     * like zombies) don't have a temperature yet.
+     */
+    var t = AMBIENT_TEMPERATURE;
+    if (owners[i] === elem) {
+      t = temperature[i];
+    } else {
+      const idx = elementIndex(elem);
+      if (idx < NUM_ELEMENTS && elements[idx] === elem)
+        t = __initialTemperature[idx];
+    }
+
+    var entry = ((t - __thermalPaletteMin) / __THERMAL_PALETTE_STEP) | 0;
+    if (entry < 0) entry = 0;
+    else if (entry > maxEntry) entry = maxEntry;
+    out32[i] = palette[entry];
+  }
+}
+
+/* ============================ State changes ============================ */
+
+registerStateChange({ element: ICE, above: 30, product: WATER });
+registerStateChange({ element: WATER, above: 100, product: STEAM });
+registerStateChange({ element: SALT_WATER, above: 100, product: STEAM });
+registerStateChange({ element: STEAM, below: 40, product: WATER });
+registerStateChange({ element: WAX, above: 60, product: FALLING_WAX });
+registerStateChange({ element: LAVA, below: 600, product: ROCK });
+
+/* Auto-ignition */
+registerStateChange({ element: OIL, above: 250, product: FIRE });
+registerStateChange({ element: GUNPOWDER, above: 200, product: FIRE });
@@ -0,0 +1,407 @@
+/*
+ * Drawing tools other than the freehand brush, such as shapes, fills, and
+ * copy and paste.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * The brush is handled by Cursor.drawStroke(). The other tools draw into
+ * toolPreview as the cursor moves, which draw() shows over the canvas, and
+ * only paint the canvas once the shape is finished.
+ *
+ * Rectangles and ellipses are dragged out from one corner of their bounding
+ * box to the other, and are finished by releasing. Polygons take a click per
+ * vertex, and are finished by clicking the first vertex again, clicking the
+ * last one twice, or pressing Enter. Escape abandons a shape.
+ *
+ * Outlines are half the pen size thick, matching the pen size labels.
+ *
+ * The fill tools paint over the clicked element and everything connected to
+ * it, straight away. Regions connect through pixel sides, and also through
+ * corners for TOOL_FILL_DIAGONAL (see forEachConnected()).
+ *
+ * TOOL_SELECT drags out a rectangle, which Ctrl+C copies and Ctrl+X cuts to
+ * the clipboard (see clipboard.js). Ctrl+V, or picking a stamp from the menu,
+ * switches to TOOL_PASTE, which shows the clipboard under the cursor until a
+ * click pastes it. While pasting, R rotates the clipboard, and H and V flip
+ * it.
+ */
+const TOOL_BRUSH = 0;
+const TOOL_RECT = 1;
+const TOOL_RECT_OUTLINE = 2;
+const TOOL_ELLIPSE = 3;
+const TOOL_ELLIPSE_OUTLINE = 4;
+const TOOL_POLYGON = 5;
+const TOOL_POLYGON_OUTLINE = 6;
+const TOOL_FILL = 7;
+const TOOL_FILL_DIAGONAL = 8;
+const TOOL_SELECT = 9;
+const TOOL_PASTE = 10;
+const TOOL_LABELS = [
+  "Brush",
+  "Rectangle",
+  "Rectangle outline",
+  "Ellipse",
+  "Ellipse outline",
+  "Polygon",
+  "Polygon outline",
+  "Fill",
+  "Fill (corners too)",
+  "Select",
+  "Paste",
+];
+
+/* How near the first vertex a click must be to close a polygon */
+const POLYGON_CLOSE_DISTANCE = 4;
+
+/* Controlled via the menu */
+var SELECTED_TOOL = TOOL_BRUSH;
+
+/* The shape being drawn, shown over the canvas until it is finished */
+const toolPreview = new RasterBuffer(width, height);
+const __toolPreviewCanvas = document.createElement("canvas");
+__toolPreviewCanvas.width = width;
+__toolPreviewCanvas.height = height;
+const __toolPreviewCtx = __toolPreviewCanvas.getContext("2d");
+const __toolPreviewImagedata = new ImageData(
+  new Uint8ClampedArray(toolPreview.data.buffer),
+  width,
+  height
+);
+
+/* Opacity of the preview, so that what it covers still shows through */
+const TOOL_PREVIEW_ALPHA = 0.7;
+
+/* Where a rectangle or ellipse drag started, if one is in progress */
+var __toolDragging = false;
+var __toolStartX = 0;
+var __toolStartY = 0;
+
+/* Vertices of the polygon in progress, as [x0, y0, x1, y1, ...] */
+const __polygonPoints = [];
+
+/* The selected rectangle, as [x, y, width, height], or null */
+var __selection = null;
+
+/* What was last cut or copied, as an ElementBlock, or null */
+var clipboard = null;
+
+/* Outline of the selection. Not an element, so it is never painted. */
+const SELECTION_COLOR = 0xffffffff;
+
+/* The last known cursor position */
+var __toolCursorX = 0;
+var __toolCursorY = 0;
+
+function initTools() {
+  document.addEventListener("keydown", function (e) {
+    /* Leave text boxes (ie. save names) to the browser */
+    if (e.target.tagName === "INPUT" && e.target.type === "text") return;
+
+    const key = e.key.toLowerCase();
+    if (e.ctrlKey || e.metaKey) {
+      if (key === "c" && __selection !== null) copySelection(false);
+      else if (key === "x" && __selection !== null) copySelection(true);
+      else if (key === "v" && clipboard !== null)
+        __selectToolFromKey(TOOL_PASTE);
+      else return;
+      e.preventDefault();
+      return;
+    }
+
+    if (e.key === "Escape") {
+      if (SELECTED_TOOL === TOOL_PASTE) __selectToolFromKey(TOOL_BRUSH);
+      else cancelTool();
+    } else if (e.key === "Enter" && isDrawingPolygon()) {
+      __finishPolygon();
+    } else if (SELECTED_TOOL === TOOL_PASTE && clipboard !== null) {
+      if (key === "r") clipboard = clipboard.rotated();
+      else if (key === "h") clipboard = clipboard.flipped(false);
+      else if (key === "v") clipboard = clipboard.flipped(true);
+      else return;
+      __drawToolPreview();
+    }
+  });
+}
+
+function __selectToolFromKey(tool) {
+  selectTool(tool);
+  syncMenuSettings();
+}
+
+/* Change the selected tool, abandoning any shape in progress */
+function selectTool(tool) {
+  cancelTool();
+  SELECTED_TOOL = tool;
+  if (toolTracksCursor()) __drawToolPreview();
+}
+
+function cancelTool() {
+  __toolDragging = false;
+  __polygonPoints.length = 0;
+  __selection = null;
+  toolPreview.clear();
+}
+
+function isDrawingPolygon() {
+  return __polygonPoints.length !== 0;
+}
+
+/* Whether the preview should follow the cursor while it isn't pressed */
+function toolTracksCursor() {
+  return (
+    isDrawingPolygon() || (SELECTED_TOOL === TOOL_PASTE && clipboard !== null)
+  );
+}
+
+/* Copy the selection to the clipboard, erasing it from the canvas if 'cut' */
+function copySelection(cut) {
+  const x = __selection[0];
+  const y = __selection[1];
+  const selectionWidth = __selection[2];
+  const selectionHeight = __selection[3];
+  clipboard = ElementBlock.fromCanvas(x, y, selectionWidth, selectionHeight);
+  if (!cut) return;
+
+  historyBeginEdit();
+  for (var row = y; row !== y + selectionHeight; row++) {
+    const offset = row * width;
+    for (var col = x; col !== x + selectionWidth; col++) {
+      historyRecordPixel(offset + col, BACKGROUND);
+      gameImagedata32[offset + col] = BACKGROUND;
+    }
+  }
+  historyEndEdit();
+}
+
+/* Put the stamp at index 'idx' of STAMPS on the clipboard, ready to paste */
+function loadStamp(idx) {
+  clipboard = ElementBlock.fromRows(STAMPS[idx].rows, STAMP_LEGEND);
+  selectTool(TOOL_PASTE);
+}
+
+/* Called when a cursor is pressed on the canvas with a tool other than brush */
+function toolCursorDown(x, y) {
+  __toolCursorX = x;
+  __toolCursorY = y;
+
+  if (SELECTED_TOOL === TOOL_PASTE) {
+    if (clipboard === null) return;
+    __drawToolPreview();
+    __commitToolPreview();
+    /* Keep showing the clipboard, ready to paste again */
+    __drawToolPreview();
+    return;
+  }
+
+  if (SELECTED_TOOL === TOOL_SELECT) {
+    __selection = null;
+    __toolDragging = true;
+    __toolStartX = x;
+    __toolStartY = y;
+    __drawToolPreview();
+    return;
+  }
+
+  if (SELECTED_ELEM === ZOMBIE) return;
+
+  if (SELECTED_TOOL === TOOL_FILL || SELECTED_TOOL === TOOL_FILL_DIAGONAL) {
+    __fill(x, y, SELECTED_TOOL === TOOL_FILL_DIAGONAL);
+    return;
+  }
+
+  if (
+    SELECTED_TOOL === TOOL_POLYGON ||
+    SELECTED_TOOL === TOOL_POLYGON_OUTLINE
+  ) {
+    const numPoints = __polygonPoints.length / 2;
+    if (numPoints >= 3) {
+      const lastX = __polygonPoints[2 * numPoints - 2];
+      const lastY = __polygonPoints[2 * numPoints - 1];
+      if (
+        (x === lastX && y === lastY) ||
+        distance(x, y, __polygonPoints[0], __polygonPoints[1]) <=
+          POLYGON_CLOSE_DISTANCE
+      ) {
+        __finishPolygon();
+        return;
+      }
+    }
+    __polygonPoints.push(x, y);
+  } else {
+    __toolDragging = true;
+    __toolStartX = x;
+    __toolStartY = y;
+  }
+  __drawToolPreview();
+}
+
+/* Called as a cursor moves over the canvas */
+function toolCursorMove(x, y) {
+  if (x === __toolCursorX && y === __toolCursorY) return;
+  __toolCursorX = x;
+  __toolCursorY = y;
+  if (__toolDragging || toolTracksCursor()) __drawToolPreview();
+}
+
+/* Called whenever a cursor is released */
+function toolCursorUp() {
+  if (!__toolDragging) return;
+  __toolDragging = false;
+
+  /* A selection stays outlined, rather than being painted */
+  if (SELECTED_TOOL === TOOL_SELECT) {
+    __selection = [
+      Math.min(__toolStartX, __toolCursorX),
+      Math.min(__toolStartY, __toolCursorY),
+      Math.abs(__toolCursorX - __toolStartX) + 1,
+      Math.abs(__toolCursorY - __toolStartY) + 1,
+    ];
+    return;
+  }
+  __commitToolPreview();
+}
+
+/* Paint the selected element over the region connected to (x, y) */
+function __fill(x, y, diagonal) {
+  const color = SELECTED_ELEM;
+  if (gameImagedata32[x + y * width] === color) return;
+
+  historyBeginEdit();
+  forEachConnected(x, y, diagonal, function (i) {
+    paintPixel(i, color);
+  });
+  historyEndEdit();
+}
+
+function __finishPolygon() {
+  /* Draw it without the vertex that follows the cursor */
+  __drawShape(__polygonPoints);
+  __polygonPoints.length = 0;
+  __commitToolPreview();
+}
+
+function __drawToolPreview() {
+  if (SELECTED_TOOL === TOOL_PASTE) {
+    /* Centered on the cursor */
+    toolPreview.clear();
+    toolPreview.drawImage(
+      clipboard,
+      __toolCursorX - (clipboard.width >> 1),
+      __toolCursorY - (clipboard.height >> 1),
+      BACKGROUND
+    );
+  } else if (__toolDragging) {
+    __drawShape([__toolStartX, __toolStartY, __toolCursorX, __toolCursorY]);
+  } else {
+    __drawShape(__polygonPoints.concat(__toolCursorX, __toolCursorY));
+  }
+}
+
+/*
+ * Draw the selected tool's shape into toolPreview, replacing what was there.
+ * 'points' are the corners for rectangles and ellipses, or the vertices of a
+ * polygon, in canvas pixels.
+ */
+function __drawShape(points) {
+  const color = SELECTED_ELEM;
+  const lineWidth = Math.max(1, PENSIZE / 2);
+  toolPreview.clear();
+
+  if (
+    SELECTED_TOOL === TOOL_POLYGON ||
+    SELECTED_TOOL === TOOL_POLYGON_OUTLINE
+  ) {
+    /* Vertices are at pixel centers */
+    const centers = points.map(function (p) {
+      return p + 0.5;
+    });
+    const numPoints = centers.length / 2;
+    const fill = SELECTED_TOOL === TOOL_POLYGON;
+    if (fill) toolPreview.fillPolygon(centers, color);
+
+    /* A filled polygon's edges are traced too, so that none of it is lost */
+    const edgeWidth = fill ? 1 : lineWidth;
+    for (var k = 0; k !== numPoints; k++) {
+      const next = k + 1 === numPoints ? 0 : k + 1;
+      toolPreview.strokeLine(
+        centers[2 * k],
+        centers[2 * k + 1],
+        centers[2 * next],
+        centers[2 * next + 1],
+        edgeWidth,
+        RASTER_CAP_ROUND,
+        color
+      );
+    }
+    return;
+  }
+
+  /* The bounding box covers both corner pixels */
+  const x = Math.min(points[0], points[2]);
+  const y = Math.min(points[1], points[3]);
+  const boxWidth = Math.abs(points[2] - points[0]) + 1;
+  const boxHeight = Math.abs(points[3] - points[1]) + 1;
+
+  if (SELECTED_TOOL === TOOL_SELECT) {
+    toolPreview.strokeRect(x, y, boxWidth, boxHeight, 1, SELECTION_COLOR);
+  } else if (SELECTED_TOOL === TOOL_RECT) {
+    toolPreview.fillRect(x, y, boxWidth, boxHeight, color);
+  } else if (SELECTED_TOOL === TOOL_RECT_OUTLINE) {
+    toolPreview.strokeRect(x, y, boxWidth, boxHeight, lineWidth, color);
+  } else {
+    const radiusX = boxWidth / 2;
+    const radiusY = boxHeight / 2;
+    const cx = x + radiusX;
+    const cy = y + radiusY;
+    if (SELECTED_TOOL === TOOL_ELLIPSE) {
+      toolPreview.fillEllipse(cx, cy, radiusX, radiusY, color);
+    } else {
+      /* Keep the outline inside the bounding box */
+      const halfWidth = lineWidth / 2;
+      toolPreview.strokeEllipse(
+        cx,
+        cy,
+        radiusX - halfWidth,
+        radiusY - halfWidth,
+        lineWidth,
+        color
+      );
+    }
+  }
+}
+
+/*
+ * Paint the preview onto the canvas, as a single edit. A paste lands whole,
+ * whatever the overwrite mode.
+ */
+function __commitToolPreview() {
+  paintBuffer(toolPreview, SELECTED_TOOL !== TOOL_PASTE);
+  toolPreview.clear();
+}
+
+/* Draw the preview, if there is one, over the given (unscaled) canvas */
+function drawToolPreview(ctx) {
+  if (toolPreview.isEmpty()) return;
+
+  __toolPreviewCtx.putImageData(__toolPreviewImagedata, 0, 0);
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = TOOL_PREVIEW_ALPHA;
+  ctx.drawImage(__toolPreviewCanvas, 0, 0);
+  ctx.restore();
+}
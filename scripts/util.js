@@ -25,17 +25,52 @@ const EIGHTH_PI = Math.PI / 8;
 const SIXTEENTH_PI = Math.PI / 16;
 const EIGHTEENTH_PI = Math.PI / 18;
 
+/*
+ * All game randomness comes from a single seedable generator (mulberry32),
+ * so that a run can be reproduced exactly given its seed. Game code must use
+ * random(), randomFloat(), or randomIntInRange() rather than Math.random().
+ */
+var randomSeed;
+var __rand_state = 0;
+
 const __num_rand_ints = 8192;
 const __rand_ints = new Uint8Array(__num_rand_ints);
 var __next_rand = 0;
-for (var i = 0; i < __num_rand_ints; i++) {
-  __rand_ints[i] = Math.floor(Math.random() * 100);
+
+/* Restart the random sequence from the given 32 bit seed */
+function seedRandom(seed) {
+  randomSeed = seed >>> 0;
+  __rand_state = randomSeed;
+
+  for (var i = 0; i < __num_rand_ints; i++) {
+    __rand_ints[i] = Math.floor(randomFloat() * 100);
+  }
+  __next_rand = 0;
 }
 
+/* Drop-in replacement for Math.random(); returns a float in [0, 1) */
+function randomFloat() {
+  var t = (__rand_state = (__rand_state + 0x6d2b79f5) | 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/* Returns the seed represented by 'str', or null if it isn't valid */
+function parseSeed(str) {
+  if (!/^\d{1,10}$/.test(str.trim())) return null;
+
+  const seed = parseInt(str, 10);
+  return seed < 4294967296 ? seed : null;
+}
+
+/* Without a requested seed, pick one at random */
+seedRandom(Math.floor(Math.random() * 4294967296));
+
 /*
  * Returns a pre-generated random byte between 0-99.
  * This is especially important for hot-paths that
- * can't tolerate the time to call Math.random() directly
+ * can't tolerate the time to call randomFloat() directly
  * (or deal with floats).
  */
 function random() {
@@ -49,7 +84,7 @@ function random() {
 
 /* Returns a random int in range [low, high) */
 function randomIntInRange(low, high) {
-  return Math.floor(Math.random() * (high - low) + low);
+  return Math.floor(randomFloat() * (high - low) + low);
 }
 
 function clamp(val, min, max) {
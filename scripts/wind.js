@@ -0,0 +1,130 @@
+/*
+ * Wind, which blows light elements sideways.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Wind is measured as the percent chance per frame that it blows an element a
+ * pixel sideways. Positive values blow to the right, and negative to the left.
+ *
+ * The wind at a pixel is the global wind (set from the menu), plus the wind
+ * from any fan blowing through it. Fans blow along their row, through air and
+ * anything the wind can carry, until something heavier stops them.
+ *
+ * Only light elements are blown: gases, FIRE, and powders that would float on
+ * WATER (ie. POLLEN). Their actions call doWind() (or downwind(), for FIRE),
+ * which costs nothing while there is no wind.
+ *
+ * Fans write to the wind field for the next frame as they act, since elements
+ * visited earlier in this frame have already moved. updateWind() then makes
+ * it current.
+ */
+const MAX_WIND = 100;
+const MAX_GLOBAL_WIND = 50;
+const FAN_WIND = 60;
+const FAN_REACH = 64;
+
+/* Controlled via the menu */
+var globalWind = 0;
+
+/* Wind from fans, by pixel. Fans write __windNext; elements read __wind. */
+var __wind = new Int8Array(width * height);
+var __windNext = new Int8Array(width * height);
+
+/* By element index: whether wind carries it. Built by initWind(). */
+var __windBlown = null;
+
+function initWind() {
+  const floatDensity = elementSpecs[elementIndex(WATER)].density;
+
+  __windBlown = new Uint8Array(NUM_ELEMENTS);
+  for (var e = 0; e !== NUM_ELEMENTS; e++) {
+    const spec = elementSpecs[e];
+    __windBlown[e] =
+      spec.phase === PHASE_GAS ||
+      (spec.phase === PHASE_POWDER && spec.density < floatDensity) ||
+      elements[e] === FIRE
+        ? 1
+        : 0;
+  }
+
+  __wind.fill(0);
+  __windNext.fill(0);
+}
+
+/* Make the wind from this frame's fans current */
+function updateWind() {
+  const wind = __wind;
+  __wind = __windNext;
+  __windNext = wind;
+  __windNext.fill(0);
+}
+
+/* The wind at pixel i */
+function windAt(i) {
+  const wind = __wind[i] + globalWind;
+  if (wind > MAX_WIND) return MAX_WIND;
+  if (wind < -MAX_WIND) return -MAX_WIND;
+  return wind;
+}
+
+/*
+ * The pixel next to i that the wind blows towards this frame, or i itself if
+ * it doesn't.
+ */
+function downwind(x, i) {
+  const wind = windAt(i);
+  if (wind > 0) {
+    if (x !== MAX_X_IDX && random() < wind) return i + 1;
+  } else if (wind < 0) {
+    if (x !== 0 && random() < -wind) return i - 1;
+  }
+  return i;
+}
+
+/* Blow the element at i a pixel downwind, if there's room */
+function doWind(x, y, i) {
+  const newI = downwind(x, i);
+  if (newI === i || gameImagedata32[newI] !== BACKGROUND) return false;
+
+  gameImagedata32[newI] = gameImagedata32[i];
+  gameImagedata32[i] = BACKGROUND;
+  swapTemperature(i, newI);
+  return true;
+}
+
+/*
+ * Blow FAN_WIND along the row from a fan at (x, y), in 'direction' (-1 for
+ * left, or 1 for right).
+ */
+function blowFan(x, y, i, direction) {
+  const wind = direction * FAN_WIND;
+  for (var k = 0; k !== FAN_REACH; k++) {
+    x += direction;
+    if (x < 0 || x > MAX_X_IDX) return;
+    i += direction;
+
+    const elem = gameImagedata32[i];
+    if (elem !== BACKGROUND && elem !== FAN_LEFT && elem !== FAN_RIGHT) {
+      if (!__windBlown[elementIndex(elem)]) return;
+
+      /* Something to blow, which may be asleep */
+      wakeChunk(x, y);
+    }
+    __windNext[i] = wind;
+  }
+}
@@ -35,6 +35,13 @@ const ZOMBIE_STATE_NORMAL = 0;
 const ZOMBIE_STATE_BURNING = 1;
 const ZOMBIE_STATE_WET = 2;
 const ZOMBIE_STATE_FROZEN = 3;
+const NUM_ZOMBIE_STATES = 4;
+
+/* Number of bodies making up each zombie (see createZombieSoftBody) */
+const ZOMBIE_NUM_BODIES = 17;
+
+/* Length of the list returned by Zombie.saveState() */
+const ZOMBIE_STATE_LENGTH = 2 + 7 * ZOMBIE_NUM_BODIES;
 
 /*
  * Set the total number of zombies to `count`. This will either create new zombies or
@@ -149,6 +156,53 @@ class Zombie {
     Matter.Composite.add(softBodyEngine.world, [this.compositeBody]);
   }
 
+  /*
+   * Returns the zombie state as a flat list of numbers, for scene files. The
+   * zombie state enum is saved separately.
+   */
+  saveState() {
+    const state = [this.burnRespawnTime, this.cooldown];
+    const bodies = this.compositeBody.bodies;
+    const numBodies = bodies.length;
+    for (var i = 0; i < numBodies; i++) {
+      const body = bodies[i];
+      state.push(body.position.x, body.position.y, body.angle,
+                 body.velocity.x, body.velocity.y, body.angularVelocity,
+                 body.isStatic ? 1 : 0);
+    }
+    return state;
+  }
+
+  /*
+   * Inverse of saveState(). The bodies are shifted down by `yOffset` pixels,
+   * for scenes saved with a different canvas height.
+   */
+  restoreState(zombieState, state, yOffset) {
+    this.state = zombieState;
+    this.burnRespawnTime = state[0];
+    this.cooldown = state[1];
+
+    const bodies = this.compositeBody.bodies;
+    const numBodies = bodies.length;
+    for (var i = 0; i < numBodies; i++) {
+      const body = bodies[i];
+      const offset = 2 + 7 * i;
+      Matter.Body.setPosition(body, {
+        x: state[offset],
+        y: state[offset + 1] + yOffset,
+      });
+      Matter.Body.setAngle(body, state[offset + 2]);
+      Matter.Body.setVelocity(body, {
+        x: state[offset + 3],
+        y: state[offset + 4],
+      });
+      Matter.Body.setAngularVelocity(body, state[offset + 5]);
+      if (state[offset + 6] === 1) {
+        Matter.Body.setStatic(body, true);
+      }
+    }
+  }
+
   setAirFriction(friction) {
     const bodies  = this.compositeBody.bodies;
     const numBodies = bodies.length;
@@ -170,7 +224,7 @@ class Zombie {
    */
   animate(now, zombieIdx, milliseconds) {
     if (this.cooldown <= 0 && random() < 2) {
-      this.cooldown = Math.round(Math.random() * 180);
+      this.cooldown = Math.round(randomFloat() * 180);
     }
     this.cooldown -= 1;
 
@@ -238,24 +292,24 @@ class Zombie {
         const onCooldown = (this.cooldown > 0);
         if (!onCooldown) {
           /* Try to the head up */
-          if (Math.random() < 0.06) {
+          if (randomFloat() < 0.06) {
             Matter.Body.applyForce(body, body.position, {
               x: 0,
-              y: -0.00001 - Math.random() * 0.00001,
+              y: -0.00001 - randomFloat() * 0.00001,
             });
           }
           /* More aggressively try to get the head up */
-          if (Math.random() < 0.03) {
+          if (randomFloat() < 0.03) {
             Matter.Body.applyForce(body, body.position, {
               x: 0,
-              y: -0.00003 - Math.random() * 0.00005,
+              y: -0.00003 - randomFloat() * 0.00005,
             });
           }
         }
         /* Knock the head side to side */
-        if (Math.random() < 0.05) {
+        if (randomFloat() < 0.05) {
           Matter.Body.applyForce(body, body.position, {
-            x: Math.random() * 0.00001 * (Math.random() < 0.5 ? 1 : -1),
+            x: randomFloat() * 0.00001 * (randomFloat() < 0.5 ? 1 : -1),
             y: 0,
           });
         }
@@ -302,7 +356,7 @@ class Zombie {
       const maxAngularVelocity = 4;
       if (!isDragging && !body.isStatic &&
           Math.abs(body.angularVelocity) > maxAngularVelocity) {
-        const dampenFactor = 0.5 + Math.random() / 3;
+        const dampenFactor = 0.5 + randomFloat() / 3;
         const newVelocity = Math.max(body.angularVelocity * dampenFactor, maxAngularVelocity);
         Matter.Body.setAngularVelocity(body, newVelocity);
       }
@@ -331,6 +385,21 @@ class Zombie {
     }
   }
 
+  /*
+   * Jolt the given body part, and set the zombie alight. Unlike FIRE, a shock
+   * gets through to wet zombies too.
+   */
+  shock(body) {
+    Matter.Body.applyForce(body, body.position, {
+      x: (randomFloat() - 0.5) * 0.0002,
+      y: -0.00005 - randomFloat() * 0.0001,
+    });
+    if (this.state !== ZOMBIE_STATE_BURNING) {
+      this.state = ZOMBIE_STATE_BURNING;
+      this.burnRespawnTime = 700 + randomIntInRange(0, 500);
+    }
+  }
+
   /*
    * Returns true if the given zombie body part is colliding with an element
    * on the main canvas.
@@ -348,7 +417,7 @@ class Zombie {
      */
     if (isDragging) {
       if (softBodyFreeDrag ||
-          now - softBodyDragStart > Math.random() * 1000 + 1000) {
+          now - softBodyDragStart > randomFloat() * 1000 + 1000) {
         softBodyFreeDrag = true;
         return false;
       }
@@ -380,6 +449,8 @@ class Zombie {
             this.state = ZOMBIE_STATE_BURNING;
             this.burnRespawnTime = 700 + randomIntInRange(0, 500);
           }
+        } else if (elem === SPARK) {
+          this.shock(body);
         } else if (elem === WATER) {
           this.state = ZOMBIE_STATE_WET;
         } else if (elem === ICE || elem === CHILLED_ICE || elem === CRYO) {
@@ -1152,6 +1223,9 @@ class Zombie {
     });
 
     const numBodies = zombie.bodies.length;
+    if (numBodies !== ZOMBIE_NUM_BODIES) {
+      throw "update ZOMBIE_NUM_BODIES";
+    }
     for (var i = 0; i < numBodies; i++) {
       var body = zombie.bodies[i];
 
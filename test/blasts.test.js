@@ -0,0 +1,77 @@
+/*
+ * Tests for blast waves.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createEngine } = require("../tools/headless.js");
+const { sceneFromAscii, countElements } = require("./helpers.js");
+
+test("a blast shoves sand away from its center", function () {
+  const engine = sceneFromAscii([
+    "#..............#",
+    "#..............#",
+    "#..............#",
+    "#.....ssss.....#",
+    "#.....ssss.....#",
+    "################",
+  ]);
+  engine.run("addBlast(7, 4, 8, 5)");
+  engine.step(1);
+
+  const sand = engine.element("SAND");
+  assert.notStrictEqual(engine.get(6, 3), sand);
+  assert.notStrictEqual(engine.get(9, 3), sand);
+  assert.strictEqual(countElements(engine, ["SAND"]).SAND, 8);
+});
+
+test("walls shelter what is behind them", function () {
+  const engine = sceneFromAscii([
+    "#.........#..#",
+    "#.........#..#",
+    "#...ss....#ss#",
+    "##############",
+  ]);
+  engine.run("addBlast(5, 2, 10, 6)");
+  engine.step(1);
+
+  const sand = engine.element("SAND");
+  assert.strictEqual(engine.get(11, 2), sand);
+  assert.strictEqual(engine.get(12, 2), sand);
+});
+
+test("an underwater C4 blast throws water into the air", function () {
+  const engine = createEngine({ width: 120, height: 80, seed: 1 });
+  const water = engine.element("WATER");
+  for (var y = 40; y !== 80; y++) {
+    for (var x = 0; x !== 120; x++) engine.set(x, y, water);
+  }
+  engine.run(
+    "particles.addActiveParticle(C4_PARTICLE, 60, 50, 60 + 50 * width)" +
+      ".size = 12"
+  );
+  engine.step(2);
+
+  var thrown = 0;
+  for (y = 0; y !== 36; y++) {
+    for (x = 0; x !== 120; x++) if (engine.get(x, y) === water) thrown++;
+  }
+  assert.ok(thrown > 0, "no water thrown more than a few pixels up");
+});
@@ -0,0 +1,72 @@
+/*
+ * Tests for chunk sleeping in updateElements().
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createEngine } = require("../tools/headless.js");
+const { TEST_SEED } = require("./helpers.js");
+
+/* 3 x 2 chunks, with a settled layer of sand on a wall floor */
+function settledEngine() {
+  const engine = createEngine({ width: 96, height: 64, seed: TEST_SEED });
+  const sand = engine.element("SAND");
+  const wall = engine.element("WALL");
+  for (var x = 0; x !== engine.width; x++) {
+    engine.set(x, 63, wall);
+    for (var y = 55; y !== 63; y++) engine.set(x, y, sand);
+  }
+  engine.step(engine.run("CHUNK_SLEEP_FRAMES") + 1);
+  return engine;
+}
+
+test("settled chunks fall asleep", function () {
+  const engine = settledEngine();
+  assert.strictEqual(engine.run("numAwakeChunks()"), 0);
+});
+
+test("a write to a sleeping chunk wakes it and its neighbors", function () {
+  const engine = settledEngine();
+  const sand = engine.element("SAND");
+  engine.set(10, 10, sand);
+  engine.step(1);
+
+  assert.strictEqual(engine.get(10, 10), engine.element("BACKGROUND"));
+  assert.ok(engine.run("isChunkAwake(10, 10)"));
+  assert.ok(engine.run("isChunkAwake(40, 40)"), "expected neighbor to wake");
+  assert.ok(!engine.run("isChunkAwake(80, 10)"), "expected chunk to sleep");
+
+  /* the grain should land on the pile, in the chunk below */
+  engine.step(100);
+  assert.strictEqual(engine.count(sand), 96 * 8 + 1);
+  assert.strictEqual(engine.get(10, 10), engine.element("BACKGROUND"));
+});
+
+test("restless elements keep their chunk awake", function () {
+  const engine = settledEngine();
+  const concrete = engine.element("CONCRETE");
+  engine.set(80, 58, concrete);
+  engine.step(engine.run("CHUNK_SLEEP_FRAMES") * 2);
+
+  /* buried in sand, so it can only harden (which is very slow) */
+  assert.strictEqual(engine.get(80, 58), concrete);
+  assert.ok(engine.run("isChunkAwake(80, 58)"));
+  assert.ok(!engine.run("isChunkAwake(10, 58)"), "expected chunk to sleep");
+});
@@ -0,0 +1,143 @@
+/*
+ * Tests for copying and pasting blocks of elements, and the stamps.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createEngine } = require("../tools/headless.js");
+const { TEST_SEED, sceneFromAscii, countElements } = require("./helpers.js");
+
+/* A block of sand and wall, which reads differently in every orientation */
+const BLOCK =
+  "ElementBlock.fromRows(['#s.', '##s'], " +
+  "{ '.': BACKGROUND, '#': WALL, s: SAND })";
+
+/*
+ * Evaluates 'code' to get a block, and returns it as rows of ASCII art, using
+ * the legend of BLOCK.
+ */
+function blockRows(code) {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  const block = engine.run(code);
+  const chars = new Map([
+    [engine.element("BACKGROUND"), "."],
+    [engine.element("WALL"), "#"],
+    [engine.element("SAND"), "s"],
+  ]);
+  const rows = [];
+  for (var y = 0; y !== block.height; y++) {
+    var row = "";
+    for (var x = 0; x !== block.width; x++)
+      row += chars.get(block.data[x + y * block.width]);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/* Paste the stamp at index 'idx' of STAMPS with its top-left at (x, y) */
+function pasteStamp(engine, idx, x, y) {
+  engine.run(
+    "(function () {" +
+      "const block = ElementBlock.fromRows(STAMPS[" +
+      idx +
+      "].rows, STAMP_LEGEND);" +
+      "const buffer = new RasterBuffer(width, height);" +
+      "buffer.drawImage(block, " +
+      x +
+      ", " +
+      y +
+      ", BACKGROUND);" +
+      "const iterEnd = MAX_IDX + 1;" +
+      "for (var i = 0; i !== iterEnd; i++)" +
+      "  if (buffer.data[i] !== 0) gameImagedata32[i] = buffer.data[i];" +
+      "})()"
+  );
+}
+
+test("blocks rotate clockwise", function () {
+  assert.deepStrictEqual(blockRows(BLOCK + ".rotated()"), ["##", "#s", "s."]);
+  assert.deepStrictEqual(
+    blockRows(BLOCK + ".rotated().rotated().rotated().rotated()"),
+    blockRows(BLOCK)
+  );
+});
+
+test("blocks flip either way", function () {
+  assert.deepStrictEqual(blockRows(BLOCK + ".flipped(false)"), [".s#", "s##"]);
+  assert.deepStrictEqual(blockRows(BLOCK + ".flipped(true)"), ["##s", "#s."]);
+});
+
+test("a block copies a rectangle of the canvas", function () {
+  const engine = sceneFromAscii([
+    "........................",
+    "..#s....................",
+    "..ss....................",
+  ]);
+  assert.deepStrictEqual(
+    Array.from(engine.run("ElementBlock.fromCanvas(2, 1, 2, 2).data")),
+    [
+      engine.element("WALL"),
+      engine.element("SAND"),
+      engine.element("SAND"),
+      engine.element("SAND"),
+    ]
+  );
+});
+
+test("stamps only use characters in the legend", function () {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  engine.run(
+    "STAMPS.forEach(function (stamp) {" +
+      "  ElementBlock.fromRows(stamp.rows, STAMP_LEGEND);" +
+      "})"
+  );
+});
+
+test("the bomb stamp goes off once its fuse is lit", function () {
+  const engine = createEngine({ width: 64, height: 48, seed: TEST_SEED });
+  pasteStamp(engine, 0, 20, 30);
+  assert.ok(countElements(engine, ["C4"]).C4 > 0);
+
+  /* the end of the fuse */
+  engine.set(28, 30, engine.element("FIRE"));
+  engine.step(60);
+  assert.deepStrictEqual(countElements(engine, ["C4", "FUSE"]), {
+    C4: 0,
+    FUSE: 0,
+  });
+});
+
+test("the furnace stamp melts what is put in it, and keeps burning", function () {
+  const engine = createEngine({ width: 64, height: 48, seed: TEST_SEED });
+  pasteStamp(engine, 1, 20, 40);
+  const before = countElements(engine, ["WALL", "TORCH"]);
+
+  for (var x = 22; x !== 33; x++) engine.set(x, 42, engine.element("ICE"));
+  engine.step(400);
+  assert.strictEqual(countElements(engine, ["ICE"]).ICE, 0);
+  assert.deepStrictEqual(countElements(engine, ["WALL", "TORCH"]), before);
+});
+
+test("trees grow in the tree farm stamp", function () {
+  const engine = createEngine({ width: 64, height: 48, seed: TEST_SEED });
+  pasteStamp(engine, 2, 20, 41);
+  engine.step(1000);
+  assert.ok(countElements(engine, ["BRANCH"]).BRANCH > 0);
+});
@@ -0,0 +1,74 @@
+/*
+ * Tests for forEachConnected(), which the fill tools and switches use.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { sceneFromAscii, countElements } = require("./helpers.js");
+
+/* Two boxes of wall, which touch only at a corner */
+function boxes() {
+  return sceneFromAscii([
+    "........................",
+    ".####...................",
+    ".#..#...................",
+    ".####...................",
+    ".....####...............",
+    ".....#..#...............",
+    ".....####...............",
+  ]);
+}
+
+/* Turn the region connected to (x, y) into SAND */
+function fillWithSand(engine, x, y, diagonal) {
+  engine.run(
+    "forEachConnected(" +
+      [x, y, diagonal].join(", ") +
+      ", function (i) { gameImagedata32[i] = SAND; })"
+  );
+}
+
+test("regions connect through sides only", function () {
+  const engine = boxes();
+  fillWithSand(engine, 1, 1, false);
+  assert.deepStrictEqual(countElements(engine, ["SAND", "WALL"]), {
+    SAND: 10,
+    WALL: 10,
+  });
+  assert.strictEqual(engine.get(5, 4), engine.element("WALL"));
+});
+
+test("diagonal regions connect through corners too", function () {
+  const engine = boxes();
+  fillWithSand(engine, 1, 1, true);
+  assert.deepStrictEqual(countElements(engine, ["SAND", "WALL"]), {
+    SAND: 20,
+    WALL: 0,
+  });
+});
+
+test("regions stop at the edges of the canvas and other elements", function () {
+  const engine = boxes();
+  fillWithSand(engine, 23, 6, true);
+  assert.deepStrictEqual(countElements(engine, ["SAND", "BACKGROUND"]), {
+    SAND: 24 * 7 - 20 - 4,
+    BACKGROUND: 4,
+  });
+});
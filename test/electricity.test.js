@@ -0,0 +1,278 @@
+/*
+ * Tests for electricity.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { sceneFromAscii, countElements } = require("./helpers.js");
+
+const LEGEND = {
+  b: "BATTERY",
+  "=": "WIRE",
+  x: "INSULATOR",
+  F: "FUSE",
+  C: "C4",
+  A: "AND_GATE",
+  O: "OR_GATE",
+  "!": "NOT_GATE",
+  D: "DELAY",
+  "?": "SENSOR",
+  0: "SWITCH_OFF",
+};
+
+/* Whether the FUSE in a scene is still there after 'frames' */
+function fuseSurvives(rows, frames) {
+  const engine = sceneFromAscii(rows, { legend: LEGEND });
+  engine.step(frames);
+  return countElements(engine, ["FUSE"]).FUSE !== 0;
+}
+
+test("current takes a frame per pixel of wire", function () {
+  const engine = sceneFromAscii(
+    [
+      "........................",
+      "b====================F..",
+      "........................",
+      "########################",
+    ],
+    { legend: LEGEND }
+  );
+
+  /* The pulse reaches the end of the wire on frame 20 */
+  engine.step(20);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 1);
+  engine.step(10);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 0);
+  assert.strictEqual(countElements(engine, ["BATTERY"]).BATTERY, 1);
+});
+
+test("insulator stops the current", function () {
+  const engine = sceneFromAscii(
+    [
+      "........................",
+      "b==========x=========F..",
+      "........................",
+      "########################",
+    ],
+    { legend: LEGEND }
+  );
+  engine.step(60);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 1);
+});
+
+test("a spark detonates C4", function () {
+  const engine = sceneFromAscii(
+    [
+      "........................",
+      "........................",
+      "b===============CC......",
+      "................CC......",
+      "########################",
+    ],
+    { legend: LEGEND }
+  );
+  engine.step(30);
+  assert.strictEqual(countElements(engine, ["C4"]).C4, 0);
+});
+
+test("sparks split water into gas", function () {
+  const engine = sceneFromAscii(
+    [
+      "############",
+      "#..........#",
+      "#wwwwwwwwww#",
+      "#==========#",
+      "#b.........#",
+      "############",
+    ],
+    { legend: LEGEND }
+  );
+  engine.step(60);
+  const counts = countElements(engine, ["WATER", "METHANE"]);
+  assert.ok(counts.METHANE > 0);
+  assert.strictEqual(counts.WATER + counts.METHANE, 10);
+});
+
+test("an AND gate needs all of its inputs live", function () {
+  const both = [
+    "........................",
+    "b====A====b.............",
+    ".....=..................",
+    ".....F..................",
+    "########################",
+  ];
+  const one = [
+    "........................",
+    "b====A====..............",
+    ".....=..................",
+    ".....F..................",
+    "########################",
+  ];
+  assert.strictEqual(fuseSurvives(both, 30), false);
+  assert.strictEqual(fuseSurvives(one, 30), true);
+});
+
+test("an OR gate needs any of its inputs live", function () {
+  const one = [
+    "........................",
+    "b====O====..............",
+    ".....=..................",
+    ".....F..................",
+    "########################",
+  ];
+  const none = [
+    "........................",
+    "x====O====..............",
+    ".....=..................",
+    ".....F..................",
+    "########################",
+  ];
+  assert.strictEqual(fuseSurvives(one, 30), false);
+  assert.strictEqual(fuseSurvives(none, 30), true);
+});
+
+test("a NOT gate inverts its input", function () {
+  const dead = [
+    "........................",
+    "x====!..................",
+    ".....=..................",
+    ".....F..................",
+    "########################",
+  ];
+  assert.strictEqual(fuseSurvives(dead, 30), false);
+
+  /* Until current arrives, the input is dead, so wait before adding a fuse */
+  const engine = sceneFromAscii(
+    [
+      "........................",
+      "b====!..................",
+      ".....=..................",
+      "........................",
+      "########################",
+    ],
+    { legend: LEGEND }
+  );
+  engine.step(30);
+  engine.set(5, 3, engine.element("FUSE"));
+  engine.step(30);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 1);
+});
+
+test("a delay holds a signal back", function () {
+  const rows = [
+    "........................",
+    "b=D.....................",
+    "..=.....................",
+    "..F.....................",
+    "########################",
+  ];
+  assert.strictEqual(fuseSurvives(rows, 25), true);
+  assert.strictEqual(fuseSurvives(rows, 45), false);
+});
+
+test("a delay drawn over an erased one starts out empty", function () {
+  const engine = sceneFromAscii(
+    [
+      "........................",
+      "b=D.....................",
+      "..=.....................",
+      "..F.....................",
+      "########################",
+    ],
+    { legend: LEGEND }
+  );
+  engine.step(20);
+
+  /* Cut the delay off from its battery, then erase and redraw it */
+  const background = engine.element("BACKGROUND");
+  engine.set(0, 1, background);
+  engine.set(1, 1, background);
+  engine.set(2, 1, background);
+  engine.step();
+  engine.set(2, 1, engine.element("DELAY"));
+
+  engine.step(40);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 1);
+});
+
+test("loading a canvas empties the delays on it", function () {
+  const engine = sceneFromAscii(
+    [
+      "........................",
+      "b=D.....................",
+      "..=.....................",
+      "..F.....................",
+      "########################",
+    ],
+    { legend: LEGEND }
+  );
+  engine.step(20);
+
+  /* The same circuit, cut off from its battery */
+  const canvas = Array.from(engine.grid);
+  const background = engine.element("BACKGROUND");
+  canvas[0 + engine.width] = background;
+  canvas[1 + engine.width] = background;
+  engine.run(
+    "loadGameCanvas(Uint32Array.from(" +
+      JSON.stringify(canvas) +
+      "), width, height)"
+  );
+
+  engine.step(40);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 1);
+});
+
+test("a sensor fires when its element touches it", function () {
+  const water = [
+    "...w....................",
+    "........................",
+    "...?=========F..........",
+    "########################",
+  ];
+  const sand = [
+    "...s....................",
+    "........................",
+    "...?=========F..........",
+    "########################",
+  ];
+  assert.strictEqual(fuseSurvives(water, 30), false);
+  assert.strictEqual(fuseSurvives(sand, 30), true);
+});
+
+test("a switch powers its wire once flipped", function () {
+  const engine = sceneFromAscii(
+    [
+      "........................",
+      "00==========F...........",
+      "00......................",
+      "########################",
+    ],
+    { legend: LEGEND }
+  );
+  engine.step(30);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 1);
+
+  const flipped = engine.run("toggleSwitch(0, 2, function () {})");
+  assert.strictEqual(flipped, true);
+  assert.strictEqual(countElements(engine, ["SWITCH_ON"]).SWITCH_ON, 4);
+  engine.step(30);
+  assert.strictEqual(countElements(engine, ["FUSE"]).FUSE, 0);
+});
@@ -0,0 +1,205 @@
+/*
+ * Tests for the element registry.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createEngine } = require("../tools/headless.js");
+const { TEST_SEED } = require("./helpers.js");
+
+test("each element is registered under the name of its constant", function () {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  const specs = engine.run("elementSpecs");
+  assert.strictEqual(specs.length, engine.run("NUM_ELEMENTS"));
+  for (var i = 0; i !== specs.length; i++) {
+    assert.strictEqual(engine.run(specs[i].name), specs[i].color);
+    assert.strictEqual(engine.run("elementIndex")(specs[i].color), i);
+  }
+});
+
+test("elements cannot be registered after initialization", function () {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  assert.throws(function () {
+    engine.run(
+      'registerElement({ name: "LATE", color: [1, 2, 3], action: WALL_ACTION })'
+    );
+  }, /before initElements/);
+});
+
+test("every element index survives encoding in a color", function () {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  const maxElements = engine.run("MAX_ELEMENTS");
+  const elementColor = engine.run("elementColor");
+  const elementIndex = engine.run("elementIndex");
+
+  /* Well past the 64 elements that 2 bits per channel allowed */
+  assert.ok(maxElements > 64);
+  for (var i = 0; i !== maxElements; i++) {
+    const r = (i * 37) & 0xff;
+    const g = (i * 91) & 0xff;
+    const b = (i * 13) & 0xff;
+    const color = elementColor(r, g, b, i);
+    assert.strictEqual(elementIndex(color), i);
+    assert.strictEqual(color >>> 24, 0xff);
+    /* only the lowest 3 bits of each channel change */
+    assert.strictEqual(color & 0xf8f8f8, ((b << 16) | (g << 8) | r) & 0xf8f8f8);
+  }
+});
+
+test("registering an element checks its spec", function () {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  assert.throws(function () {
+    engine.run(
+      'registerElement({ name: "ODD", color: [1, 2, 3], colour: [1, 2, 3] })'
+    );
+  }, /unknown property "colour"/);
+  assert.throws(function () {
+    engine.run('registerElement({ name: "ODD", color: 0xff0000 })');
+  }, /color must be \[r, g, b\]/);
+  assert.throws(function () {
+    engine.run('registerElement({ name: "ODD", color: [1, 2] })');
+  }, /color must be \[r, g, b\]/);
+});
+
+/*
+ * Validate a copy of the registry, after 'edit' has changed it. Each spec is
+ * copied, so edits to one do not reach the engine's registry.
+ */
+function validateEdited(engine, edit) {
+  const specs = engine.run("elementSpecs").map(function (spec) {
+    return Object.assign({}, spec);
+  });
+  edit(specs, engine);
+  engine.run("validateElementSpecs")(specs);
+}
+
+function findSpec(specs, name) {
+  for (var i = 0; i !== specs.length; i++) {
+    if (specs[i].name === name) return specs[i];
+  }
+  throw "unknown element: " + name;
+}
+
+test("the registry as shipped is valid", function () {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  validateEdited(engine, function () {});
+});
+
+test("initialization rejects an invalid registry", function () {
+  const engine = createEngine({ width: 16, height: 16, seed: TEST_SEED });
+  const cases = [
+    {
+      error: /invalid name "sand"/,
+      edit(specs) {
+        findSpec(specs, "SAND").name = "sand";
+      },
+    },
+    {
+      error: /invalid name ""/,
+      edit(specs) {
+        findSpec(specs, "SAND").name = "";
+      },
+    },
+    {
+      error: /"WATER" is registered more than once/,
+      edit(specs) {
+        findSpec(specs, "SAND").name = "WATER";
+      },
+    },
+    {
+      error: /"SAND": missing action function/,
+      edit(specs) {
+        findSpec(specs, "SAND").action = null;
+      },
+    },
+    {
+      error: /"SAND": invalid phase/,
+      edit(specs, engine) {
+        findSpec(specs, "SAND").phase = engine.run("PHASE_GAS") + 1;
+      },
+    },
+    {
+      error: /"SAND": non-static elements need a density/,
+      edit(specs) {
+        findSpec(specs, "SAND").density = 0;
+      },
+    },
+    {
+      error: /"WATER": color does not encode its index/,
+      edit(specs) {
+        findSpec(specs, "WATER").color = findSpec(specs, "SAND").color;
+      },
+    },
+    {
+      error: /"SAND": color does not encode its index/,
+      edit(specs) {
+        const spec = findSpec(specs, "SAND");
+        spec.color = spec.color & 0xffffff;
+      },
+    },
+    {
+      error: /"SAND": menu needs an order/,
+      edit(specs) {
+        const spec = findSpec(specs, "SAND");
+        spec.menu = Object.assign({}, spec.menu, { order: undefined });
+      },
+    },
+    {
+      error: /"SAND" and "WATER" have the same menu order/,
+      edit(specs) {
+        const spec = findSpec(specs, "SAND");
+        const order = findSpec(specs, "WATER").menu.order;
+        spec.menu = Object.assign({}, spec.menu, { order: order });
+      },
+    },
+    {
+      error: /"SAND": sinksThrough "WAVES" is not an element/,
+      edit(specs) {
+        findSpec(specs, "SAND").sinksThrough = { WAVES: 25 };
+      },
+    },
+    {
+      error: /"SAND": sinksThrough "SALT" is not lighter/,
+      edit(specs) {
+        findSpec(specs, "SAND").sinksThrough = { SALT: 25 };
+      },
+    },
+    {
+      error: /"SAND": sinksThrough "WATER": chance must be in \(0, 100\]/,
+      edit(specs) {
+        findSpec(specs, "SAND").sinksThrough = { WATER: 0 };
+      },
+    },
+    {
+      error: /Too many elements/,
+      edit(specs, engine) {
+        while (specs.length <= engine.run("MAX_ELEMENTS")) {
+          specs.push(Object.assign({}, specs[1]));
+        }
+      },
+    },
+  ];
+  for (var i = 0; i !== cases.length; i++) {
+    const edit = cases[i].edit;
+    assert.throws(function () {
+      validateEdited(engine, edit);
+    }, cases[i].error);
+  }
+});
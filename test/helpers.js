@@ -0,0 +1,148 @@
+/*
+ * Helpers for the regression tests: building scenes from ASCII art, and
+ * comparing grids against golden snapshots.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const { createEngine } = require("../tools/headless.js");
+
+/* Seed used by every test, unless it asks for another */
+const TEST_SEED = 1;
+
+const SNAPSHOT_DIR = path.join(__dirname, "snapshots");
+
+/*
+ * Characters used to draw scenes. Tests may pass extra entries for anything
+ * not covered here. Elements with no character are shown as '?' in
+ * snapshots.
+ */
+const DEFAULT_LEGEND = {
+  ".": "BACKGROUND",
+  "#": "WALL",
+  s: "SAND",
+  w: "WATER",
+  p: "PLANT",
+  f: "FIRE",
+  "^": "TORCH",
+  S: "SALT",
+  W: "SALT_WATER",
+  o: "OIL",
+  g: "GUNPOWDER",
+  n: "NITRO",
+  N: "CHARGED_NITRO",
+  c: "CONCRETE",
+  i: "ICE",
+  l: "LAVA",
+  r: "ROCK",
+  "~": "STEAM",
+  m: "METHANE",
+  d: "SOIL",
+  D: "WET_SOIL",
+  a: "ACID",
+  t: "THERMITE",
+  T: "BURNING_THERMITE",
+};
+
+/*
+ * Create an engine from rows of ASCII art, one character per pixel. Rows are
+ * listed top to bottom, and must all be the same length.
+ */
+function sceneFromAscii(rows, options) {
+  options = options || {};
+  const legend = Object.assign({}, DEFAULT_LEGEND, options.legend);
+  const sceneHeight = rows.length;
+  const sceneWidth = rows[0].length;
+
+  const engine = createEngine({
+    width: sceneWidth,
+    height: sceneHeight,
+    seed: options.seed === undefined ? TEST_SEED : options.seed,
+  });
+
+  for (var y = 0; y !== sceneHeight; y++) {
+    const row = rows[y];
+    if (row.length !== sceneWidth) throw "row " + y + " has the wrong length";
+    for (var x = 0; x !== sceneWidth; x++) {
+      const name = legend[row[x]];
+      if (!name) throw "no legend entry for '" + row[x] + "'";
+      engine.set(x, y, engine.element(name));
+    }
+  }
+
+  engine.legend = legend;
+  return engine;
+}
+
+/* The inverse of sceneFromAscii() */
+function gridToAscii(engine) {
+  const chars = new Map();
+  for (const c in engine.legend) {
+    const elem = engine.element(engine.legend[c]);
+    if (!chars.has(elem)) chars.set(elem, c);
+  }
+
+  const rows = [];
+  for (var y = 0; y !== engine.height; y++) {
+    var row = "";
+    for (var x = 0; x !== engine.width; x++) {
+      const c = chars.get(engine.get(x, y));
+      row += c === undefined ? "?" : c;
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/* Count of each named element */
+function countElements(engine, names) {
+  const counts = {};
+  for (const name of names) counts[name] = engine.count(engine.element(name));
+  return counts;
+}
+
+/*
+ * Compare the grid against test/snapshots/<name>.txt. Run with
+ * UPDATE_SNAPSHOTS=1 to (re)write the snapshot instead, and review the diff
+ * before committing it.
+ */
+function assertSnapshot(engine, name) {
+  const actual = gridToAscii(engine).join("\n") + "\n";
+  const file = path.join(SNAPSHOT_DIR, name + ".txt");
+
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, actual);
+    return;
+  }
+  if (!fs.existsSync(file))
+    assert.fail("missing snapshot " + name + " (run with UPDATE_SNAPSHOTS=1)");
+  assert.strictEqual(actual, fs.readFileSync(file, "utf8"), name);
+}
+
+module.exports = {
+  TEST_SEED,
+  DEFAULT_LEGEND,
+  sceneFromAscii,
+  gridToAscii,
+  countElements,
+  assertSnapshot,
+};
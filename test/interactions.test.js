@@ -0,0 +1,289 @@
+/*
+ * Regression tests for element interactions.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Each test builds a small scene, runs it for a fixed number of frames with a
+ * fixed seed, and then checks the outcome. Count assertions describe the
+ * behavior we care about, and hold up to harmless tweaks. Snapshots pin the
+ * exact result, so they also catch unintended changes; when a change to an
+ * element is intentional, regenerate them (see test/helpers.js).
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const {
+  sceneFromAscii,
+  countElements,
+  gridToAscii,
+  assertSnapshot,
+} = require("./helpers.js");
+
+test("water puts out fire", function () {
+  const engine = sceneFromAscii([
+    "#........#",
+    "#wwwwwwww#",
+    "#wwwwwwww#",
+    "#ffffffff#",
+    "#ffffffff#",
+    "##########",
+  ]);
+  engine.step(5);
+
+  const counts = countElements(engine, ["FIRE", "STEAM"]);
+  assert.strictEqual(counts.FIRE, 0);
+  assert.ok(counts.STEAM > 0, "expected steam");
+  assertSnapshot(engine, "water-puts-out-fire");
+});
+
+test("salt dissolves in water", function () {
+  const engine = sceneFromAscii([
+    "#..SSSS...#",
+    "#..SSSS...#",
+    "#.........#",
+    "#wwwwwwwww#",
+    "#wwwwwwwww#",
+    "#wwwwwwwww#",
+    "#wwwwwwwww#",
+    "###########",
+  ]);
+  engine.step(300);
+
+  const counts = countElements(engine, ["SALT", "SALT_WATER", "WATER"]);
+  assert.strictEqual(counts.SALT, 0);
+  /* each grain of salt, and the water it dissolves in, become salt water */
+  assert.strictEqual(counts.SALT_WATER, 16);
+  assert.strictEqual(counts.WATER, 36 - 8);
+  assertSnapshot(engine, "salt-dissolves-in-water");
+});
+
+test("concrete hardens into wall", function () {
+  const engine = sceneFromAscii([
+    "#...cccc...#",
+    "#...cccc...#",
+    "#...cccc...#",
+    "#..........#",
+    "#..........#",
+    "############",
+  ]);
+  const initialWall = engine.count(engine.element("WALL"));
+  engine.step(2000);
+
+  const counts = countElements(engine, ["CONCRETE", "WALL"]);
+  assert.strictEqual(counts.CONCRETE, 0);
+  assert.strictEqual(counts.WALL, initialWall + 12);
+  assertSnapshot(engine, "concrete-hardens");
+});
+
+test("concrete sinks through water before hardening", function () {
+  const engine = sceneFromAscii([
+    "#...cc...#",
+    "#wwwwwwww#",
+    "#wwwwwwww#",
+    "#wwwwwwww#",
+    "##########",
+  ]);
+  engine.step(500);
+
+  /* all the concrete should have ended up (as wall) on the floor */
+  const wall = engine.element("WALL");
+  var hardened = 0;
+  for (var x = 1; x !== engine.width - 1; x++) {
+    if (engine.get(x, 3) === wall) hardened++;
+  }
+  assert.strictEqual(hardened, 2);
+  assert.strictEqual(engine.count(engine.element("CONCRETE")), 0);
+});
+
+test("liquids settle into layers by density", function () {
+  /* nothing lists this pair explicitly; it follows from their densities */
+  const engine = sceneFromAscii(
+    ["#WWWWWWWW#", "#WWWWWWWW#", "#xxxxxxxx#", "#xxxxxxxx#", "##########"],
+    { legend: { x: "NAPALM" } }
+  );
+  engine.step(1000);
+
+  assert.deepStrictEqual(gridToAscii(engine), [
+    "#xxxxxxxx#",
+    "#xxxxxxxx#",
+    "#WWWWWWWW#",
+    "#WWWWWWWW#",
+    "##########",
+  ]);
+});
+
+test("powders don't sink through each other", function () {
+  const scene = ["#SSSS#", "#ssss#", "#ssss#", "######"];
+  const engine = sceneFromAscii(scene);
+  engine.step(200);
+  assert.deepStrictEqual(gridToAscii(engine), scene);
+});
+
+test("liquids sink through lighter liquids they don't list", function () {
+  /*
+   * Pairs with ACID or CRYO are left out, since those react with the other
+   * liquid before it can settle.
+   */
+  const pairs = [
+    ["WATER", "NAPALM"],
+    ["SALT_WATER", "OIL"],
+    ["SALT_WATER", "NAPALM"],
+    ["NITRO", "NAPALM"],
+    ["NAPALM", "OIL"],
+    ["CHARGED_NITRO", "WATER"],
+    ["CHARGED_NITRO", "SALT_WATER"],
+    ["CHARGED_NITRO", "OIL"],
+    ["CHARGED_NITRO", "NAPALM"],
+  ];
+  for (var p = 0; p !== pairs.length; p++) {
+    const heavy = pairs[p][0];
+    const light = pairs[p][1];
+    const engine = sceneFromAscii(
+      ["#hhhhhhhh#", "#hhhhhhhh#", "#llllllll#", "#llllllll#", "##########"],
+      { legend: { h: heavy, l: light } }
+    );
+    engine.step(500);
+
+    assert.deepStrictEqual(
+      countElements(engine, [heavy, light]),
+      { [heavy]: 16, [light]: 16 },
+      heavy + " and " + light
+    );
+    var sunk = 0;
+    for (var y = 2; y !== 4; y++) {
+      for (var x = 1; x !== 9; x++) {
+        if (engine.get(x, y) === engine.element(heavy)) sunk++;
+      }
+    }
+    assert.ok(sunk >= 14, heavy + " should sink through " + light);
+  }
+});
+
+test("thermite burns through wall", function () {
+  const engine = sceneFromAscii([
+    "..........",
+    "...tttt...",
+    "...tttt...",
+    "...tttt...",
+    "..ffffff..",
+    "##########",
+    "##########",
+    "##########",
+    "..........",
+    "..........",
+  ]);
+  const initialWall = engine.count(engine.element("WALL"));
+  engine.step(300);
+
+  const wall = engine.element("WALL");
+  assert.ok(engine.count(wall) < initialWall, "expected a hole in the wall");
+  var holes = 0;
+  for (var x = 0; x !== engine.width; x++) {
+    if (engine.get(x, 7) !== wall) holes++;
+  }
+  assert.ok(holes > 0, "expected thermite to burn all the way through");
+  assertSnapshot(engine, "thermite-burns-through-wall");
+});
+
+test("nitro and soil yield charged nitro", function () {
+  const engine = sceneFromAscii([
+    "#nnnnnnnn#",
+    "#nnnnnnnn#",
+    "#dddddddd#",
+    "#dddddddd#",
+    "##########",
+  ]);
+  engine.step(20);
+
+  assert.ok(engine.count(engine.element("CHARGED_NITRO")) > 0);
+  assertSnapshot(engine, "nitro-and-soil");
+});
+
+test("charged nitro explodes when lit", function () {
+  /* lit from a torch, since falling charged nitro can smother plain fire */
+  const engine = sceneFromAscii([
+    "..............................",
+    "..............................",
+    "..............................",
+    "..............................",
+    "..............................",
+    "..............................",
+    "..............NNNN............",
+    "..............NNNN............",
+    "..............^^^^............",
+    "##############################",
+  ]);
+  const wall = engine.element("WALL");
+  const initialWall = engine.count(wall);
+  engine.step(10);
+
+  assert.strictEqual(engine.count(engine.element("CHARGED_NITRO")), 0);
+  assert.ok(engine.count(wall) < initialWall, "expected a crater");
+});
+
+test("lava rock and oil produce methane", function () {
+  /* closed, so that the methane can't float away */
+  const engine = sceneFromAscii([
+    "##########",
+    "#........#",
+    "#oooooooo#",
+    "#oooooooo#",
+    "#rrrrrrrr#",
+    "##########",
+  ]);
+  engine.step(1000);
+
+  assert.ok(engine.count(engine.element("METHANE")) > 0, "expected methane");
+  assertSnapshot(engine, "rock-and-oil");
+});
+
+test("lava cools into rock in water", function () {
+  const engine = sceneFromAscii([
+    "#...ll...#",
+    "#...ll...#",
+    "#wwwwwwww#",
+    "#wwwwwwww#",
+    "##########",
+  ]);
+  engine.step(200);
+
+  const counts = countElements(engine, ["LAVA", "ROCK"]);
+  assert.strictEqual(counts.LAVA, 0);
+  assert.ok(counts.ROCK > 0, "expected rock");
+});
+
+test("runs are deterministic for a given seed", function () {
+  const rows = [
+    "#....ssss....#",
+    "#....gggg....#",
+    "#............#",
+    "#.....ff.....#",
+    "#wwwwwwwwwwww#",
+    "##############",
+  ];
+  const grids = [1, 1, 2].map(function (seed) {
+    const engine = sceneFromAscii(rows, { seed: seed });
+    engine.step(200);
+    return Array.from(engine.grid);
+  });
+
+  assert.deepStrictEqual(grids[0], grids[1]);
+  assert.notDeepStrictEqual(grids[0], grids[2]);
+});
@@ -0,0 +1,149 @@
+/*
+ * Tests for painting with the brush and tools.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createEngine } = require("../tools/headless.js");
+
+const SIZE = 20;
+
+/*
+ * Paint a SIZE x SIZE square of sand with the brush at pen density 'density',
+ * and return the grid it leaves.
+ */
+function brushSquare(seed, density) {
+  const engine = createEngine({ width: SIZE, height: SIZE, seed: seed });
+  const brushPaints = engine.run("brushPaints");
+  const sand = engine.element("SAND");
+  for (var y = 0; y !== SIZE; y++) {
+    for (var x = 0; x !== SIZE; x++) {
+      if (brushPaints(density)) engine.set(x, y, sand);
+    }
+  }
+  return { grid: Array.from(engine.grid), painted: engine.count(sand) };
+}
+
+test("below full density, the brush sprays part of its pixels", function () {
+  const sprayed = brushSquare(1, 40);
+  assert.ok(sprayed.painted > 0.3 * SIZE * SIZE, "painted " + sprayed.painted);
+  assert.ok(sprayed.painted < 0.5 * SIZE * SIZE, "painted " + sprayed.painted);
+
+  /* The same seed sprays the same pixels */
+  assert.deepStrictEqual(brushSquare(1, 40).grid, sprayed.grid);
+});
+
+test("at full density, the brush paints all of its pixels", function () {
+  assert.strictEqual(brushSquare(1, 100).painted, SIZE * SIZE);
+});
+
+/*
+ * Paint 'color' (OIL by default) over a 4 x 1 canvas of sand, water, empty
+ * space and sand, through paintPixel() in overwrite mode 'mode'. 'replace'
+ * names the REPLACE_ELEM, if any. Returns the pixels as element names.
+ */
+function paintInMode(mode, replace, color) {
+  const engine = createEngine({ width: 4, height: 1, seed: 1 });
+  const names = ["SAND", "WATER", "BACKGROUND", "SAND"];
+  for (var x = 0; x !== names.length; x++)
+    engine.set(x, 0, engine.element(names[x]));
+
+  engine.run("OVERWRITE_MODE = " + mode);
+  if (replace) engine.run("REPLACE_ELEM = " + replace);
+  const paintPixel = engine.run("paintPixel");
+  engine.run("historyBeginEdit()");
+  for (x = 0; x !== names.length; x++)
+    paintPixel(x, engine.element(color || "OIL"));
+  engine.run("historyEndEdit()");
+  return elementNames(engine);
+}
+
+/* The element name of each pixel of the grid */
+function elementNames(engine) {
+  const specs = engine.run("elementSpecs");
+  const elementIndex = engine.run("elementIndex");
+  return Array.from(engine.grid, function (elem) {
+    return specs[elementIndex(elem)].name;
+  });
+}
+
+test("overwrite all paints over everything", function () {
+  assert.deepStrictEqual(paintInMode("OVERWRITE_ALL"), [
+    "OIL",
+    "OIL",
+    "OIL",
+    "OIL",
+  ]);
+});
+
+test("empty only paints only into empty space, but still erases", function () {
+  assert.deepStrictEqual(paintInMode("OVERWRITE_BACKGROUND"), [
+    "SAND",
+    "WATER",
+    "OIL",
+    "SAND",
+  ]);
+  assert.deepStrictEqual(
+    paintInMode("OVERWRITE_BACKGROUND", null, "BACKGROUND"),
+    ["BACKGROUND", "BACKGROUND", "BACKGROUND", "BACKGROUND"]
+  );
+});
+
+test("replace paints over only the element it replaces", function () {
+  assert.deepStrictEqual(paintInMode("OVERWRITE_REPLACE", "SAND"), [
+    "OIL",
+    "WATER",
+    "BACKGROUND",
+    "OIL",
+  ]);
+});
+
+test("a paste lands whole, whatever the overwrite mode", function () {
+  const engine = createEngine({ width: 4, height: 1, seed: 1 });
+  engine.set(0, 0, engine.element("WATER"));
+  engine.run("OVERWRITE_MODE = OVERWRITE_BACKGROUND");
+
+  /* As the paste tool commits its preview, and as a shape would */
+  const commit = function (overwrite) {
+    engine.run(
+      "(function () {" +
+        "const buffer = new RasterBuffer(width, height);" +
+        "buffer.drawImage(ElementBlock.fromRows(['ss'], { s: SAND }), 0, 0, BACKGROUND);" +
+        "paintBuffer(buffer, " +
+        overwrite +
+        ");" +
+        "})()"
+    );
+  };
+  commit(true);
+  assert.deepStrictEqual(elementNames(engine), [
+    "WATER",
+    "SAND",
+    "BACKGROUND",
+    "BACKGROUND",
+  ]);
+  commit(false);
+  assert.deepStrictEqual(elementNames(engine), [
+    "SAND",
+    "SAND",
+    "BACKGROUND",
+    "BACKGROUND",
+  ]);
+});
@@ -0,0 +1,134 @@
+/*
+ * Tests for particles.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createEngine } = require("../tools/headless.js");
+const { TEST_SEED } = require("./helpers.js");
+
+const SIZE = 32;
+
+/*
+ * Spawn a particle of the named type in the middle of a fresh engine, and
+ * return its saved state, along with a function to validate edited copies of
+ * it.
+ */
+function savedParticle(typeName) {
+  const engine = createEngine({ width: SIZE, height: SIZE, seed: TEST_SEED });
+  const state = engine.run(
+    "(function () {" +
+      "const x = width / 2;" +
+      "const y = height / 2;" +
+      "return particles.addActiveParticle(" +
+      typeName +
+      ", x, y, x + y * width).saveState();" +
+      "})()"
+  );
+  const type = engine.run(typeName);
+  const validState = engine.run("Particle.validState");
+  return {
+    state: state,
+    valid: function (edit) {
+      const edited = state.slice();
+      if (edit) edit(edited);
+      return validState(type, edited, SIZE, SIZE);
+    },
+  };
+}
+
+test("a freshly saved particle of each type is valid", function () {
+  const types = [
+    "NITRO_PARTICLE",
+    "NAPALM_PARTICLE",
+    "C4_PARTICLE",
+    "LAVA_PARTICLE",
+    "MAGIC1_PARTICLE",
+    "MAGIC2_PARTICLE",
+    "METHANE_PARTICLE",
+    "TREE_PARTICLE",
+    "CHARGED_NITRO_PARTICLE",
+    "NUKE_PARTICLE",
+  ];
+  for (var t = 0; t !== types.length; t++)
+    assert.strictEqual(savedParticle(types[t]).valid(), true, types[t]);
+});
+
+test("a particle's own fields must be set", function () {
+  const cases = [
+    ["NAPALM_PARTICLE", 12 /* maxIterations */],
+    ["LAVA_PARTICLE", 13 /* initYVelocity */],
+    ["LAVA_PARTICLE", 14 /* yAcceleration */],
+    ["CHARGED_NITRO_PARTICLE", 15 /* minY */],
+    ["MAGIC2_PARTICLE", 20 /* magic_2_radius */],
+    ["TREE_PARTICLE", 24 /* nextBranch */],
+  ];
+  for (var c = 0; c !== cases.length; c++) {
+    const field = cases[c][1];
+    const particle = savedParticle(cases[c][0]);
+    assert.strictEqual(
+      particle.valid(function (state) {
+        state[field] = NaN;
+      }),
+      false,
+      cases[c][0] + " without field " + field
+    );
+  }
+
+  /* Other types' fields may be unset, which a scene file stores as NaN */
+  assert.strictEqual(
+    savedParticle("NITRO_PARTICLE").valid(function (state) {
+      state[15] = NaN;
+    }),
+    true
+  );
+});
+
+test("a particle must be near the canvas it was saved on", function () {
+  const particle = savedParticle("NITRO_PARTICLE");
+  const edits = [
+    function (state) {
+      state[2] = 1e9; /* x */
+    },
+    function (state) {
+      state[1] = -1e9; /* initY */
+    },
+    function (state) {
+      state[4] = SIZE * SIZE; /* i */
+    },
+    function (state) {
+      state[4] = -1;
+    },
+    function (state) {
+      state[4] = 10.5;
+    },
+  ];
+  for (var e = 0; e !== edits.length; e++)
+    assert.strictEqual(particle.valid(edits[e]), false, "edit " + e);
+
+  /* Spirals stray a little way off the canvas */
+  assert.strictEqual(
+    particle.valid(function (state) {
+      state[2] = -SIZE / 2;
+      state[3] = SIZE * 1.5;
+    }),
+    true
+  );
+});
@@ -0,0 +1,97 @@
+/*
+ * Tests for shape rasterization.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { createEngine } = require("../tools/headless.js");
+
+const engine = createEngine({ width: 16, height: 16 });
+
+/*
+ * Runs 'draw' against a fresh buffer (named 'buffer', with 1 as the color),
+ * and returns the result as rows of ASCII art.
+ */
+function rasterize(bufferWidth, bufferHeight, draw) {
+  const data = engine.run(
+    "(function () {" +
+      "const buffer = new RasterBuffer(" +
+      bufferWidth +
+      ", " +
+      bufferHeight +
+      ");" +
+      draw +
+      ";" +
+      "return buffer.data;" +
+      "})()"
+  );
+  const rows = [];
+  for (var y = 0; y !== bufferHeight; y++) {
+    var row = "";
+    for (var x = 0; x !== bufferWidth; x++)
+      row += data[x + y * bufferWidth] ? "#" : ".";
+    rows.push(row);
+  }
+  return rows;
+}
+
+test("a rectangle outline stays inside its edges", function () {
+  assert.deepStrictEqual(
+    rasterize(6, 5, "buffer.strokeRect(1, 0, 4, 5, 1, 1)"),
+    [".####.", ".#..#.", ".#..#.", ".#..#.", ".####."]
+  );
+});
+
+test("a filled ellipse fits its bounding box", function () {
+  assert.deepStrictEqual(
+    rasterize(7, 5, "buffer.fillEllipse(3.5, 2.5, 3.5, 2.5, 1)"),
+    [".#####.", "#######", "#######", "#######", ".#####."]
+  );
+});
+
+test("an ellipse outline is hollow", function () {
+  const rows = rasterize(
+    9,
+    9,
+    "buffer.strokeEllipse(4.5, 4.5, 3.5, 3.5, 1, 1)"
+  );
+  assert.strictEqual(rows[4], "##.....##");
+  assert.strictEqual(rows[0][0], ".");
+  assert.strictEqual(rows[8][8], ".");
+});
+
+test("a polygon is filled by pixel centers", function () {
+  assert.deepStrictEqual(
+    rasterize(6, 4, "buffer.fillPolygon([0, 0, 6, 0, 0, 4], 1)"),
+    ["#####.", "####..", "##....", "#....."]
+  );
+});
+
+test("an image is clipped, and leaves out its transparent color", function () {
+  assert.deepStrictEqual(
+    rasterize(
+      3,
+      3,
+      "buffer.drawImage({ width: 3, height: 2, data: [1, 2, 1, 2, 2, 1] }," +
+        " -1, 1, 2)"
+    ),
+    ["...", ".#.", ".#."]
+  );
+});
@@ -0,0 +1,46 @@
+/*
+ * Tests for the reaction table.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const {
+  reactionsMarkdown,
+  REACTIONS_DOC,
+} = require("../tools/reactionsDoc.js");
+const { sceneFromAscii, countElements } = require("./helpers.js");
+
+test("REACTIONS.md is up to date", function () {
+  assert.strictEqual(
+    fs.readFileSync(REACTIONS_DOC, "utf8"),
+    reactionsMarkdown(),
+    "run `node tools/reactionsDoc.js` to regenerate it"
+  );
+});
+
+test("a reaction can leave the other element unchanged", function () {
+  const engine = sceneFromAscii(["#####", "#pSp#", "#####"]);
+  engine.step(200);
+  assert.deepStrictEqual(countElements(engine, ["PLANT", "SALT"]), {
+    PLANT: 0,
+    SALT: 1,
+  });
+});
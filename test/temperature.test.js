@@ -0,0 +1,86 @@
+/*
+ * Tests for heat conduction and state changes.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { sceneFromAscii, countElements } = require("./helpers.js");
+
+test("ice keeps at room temperature", function () {
+  const engine = sceneFromAscii(["#......#", "#.iiii.#", "########"]);
+  engine.step(2000);
+  assert.deepStrictEqual(countElements(engine, ["ICE", "WATER"]), {
+    ICE: 4,
+    WATER: 0,
+  });
+});
+
+test("a torch melts neighboring ice", function () {
+  const engine = sceneFromAscii(["#......#", "#^iiii.#", "########"]);
+  engine.step(600);
+  assert.strictEqual(countElements(engine, ["ICE"]).ICE, 0);
+});
+
+test("a hot wall ignites the oil touching it", function () {
+  /* walled in, so that it can't flow away from the wall */
+  const engine = sceneFromAscii(["#....#", "##o#.#", "######"]);
+  engine.step(1);
+  engine.run("gameTemperature")[3 + engine.width] = 2000;
+  engine.step(30);
+  assert.strictEqual(countElements(engine, ["OIL"]).OIL, 0);
+});
+
+test("the thermal view colors by temperature", function () {
+  const engine = sceneFromAscii(["#....#", "#.il.#", "######"]);
+  engine.step(1);
+  const view = new Uint32Array(engine.width * engine.height);
+  engine.run("renderThermalView")(view);
+
+  const pixel = function (x, y) {
+    return view[x + y * engine.width];
+  };
+  const red = function (color) {
+    return color & 0xff;
+  };
+  const blue = function (color) {
+    return (color >>> 16) & 0xff;
+  };
+  assert.strictEqual(pixel(1, 0), 0xff000000, "air is black");
+  assert.ok(blue(pixel(2, 1)) > red(pixel(2, 1)), "ice is cold");
+  assert.ok(red(pixel(3, 1)) > blue(pixel(3, 1)), "lava is hot");
+  assert.ok(pixel(0, 0) !== 0xff000000, "walls are drawn");
+});
+
+test("loading a canvas resets its temperatures", function () {
+  const engine = sceneFromAscii(["#....#", "#.ii.#", "######"]);
+  engine.step(1);
+  const temperature = engine.run("gameTemperature");
+  temperature[2 + engine.width] = 500;
+  engine.run("loadGameCanvas")(
+    engine.grid.slice(),
+    engine.width,
+    engine.height
+  );
+  assert.strictEqual(temperature[2 + engine.width], 20);
+
+  /* so the ice doesn't melt */
+  engine.step(50);
+  assert.strictEqual(countElements(engine, ["ICE"]).ICE, 2);
+});
@@ -0,0 +1,71 @@
+/*
+ * Tests for wind and fans.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const test = require("node:test");
+const assert = require("assert");
+const { sceneFromAscii } = require("./helpers.js");
+
+/* Counts the pixels of an element left and right of the middle column */
+function countHalves(engine, name) {
+  const elem = engine.element(name);
+  const middle = engine.width / 2;
+  const halves = { left: 0, right: 0 };
+  for (var y = 0; y !== engine.height; y++) {
+    for (var x = 0; x !== engine.width; x++) {
+      if (engine.get(x, y) !== elem) continue;
+      if (x < middle) halves.left++;
+      else halves.right++;
+    }
+  }
+  return halves;
+}
+
+test("global wind blows gases downwind", function () {
+  const engine = sceneFromAscii([
+    "################################",
+    "#..............................#",
+    "#..............mmmm............#",
+    "################################",
+  ]);
+  engine.run("globalWind = -40");
+  engine.step(60);
+  assert.deepStrictEqual(countHalves(engine, "METHANE"), {
+    left: 4,
+    right: 0,
+  });
+});
+
+test("a fan blows gas across a room", function () {
+  const engine = sceneFromAscii(
+    [
+      "################################",
+      "#>.............mmmm............#",
+      "#>.............mmmm............#",
+      "################################",
+    ],
+    { legend: { ">": "FAN_RIGHT" } }
+  );
+  engine.step(60);
+  assert.deepStrictEqual(countHalves(engine, "METHANE"), {
+    left: 0,
+    right: 8,
+  });
+});
@@ -0,0 +1,162 @@
+/*
+ * Runs the simulation engine under Node, without a browser.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * The game scripts are plain browser scripts that share one global scope, so
+ * we load them into a fresh VM context per engine. Engines are completely
+ * independent of each other.
+ *
+ * Example:
+ *
+ *   const { createEngine } = require("./tools/headless.js");
+ *   const engine = createEngine({ width: 200, height: 150, seed: 1234 });
+ *   engine.set(100, 10, engine.element("SAND"));
+ *   engine.step(500);
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SCRIPTS_DIR = path.join(__dirname, "..", "scripts");
+
+/* The DOM-free engine scripts, in load order (matching index.html) */
+const ENGINE_SCRIPTS = [
+  "util.js",
+  "canvasConfig.js",
+  "raster.js",
+  "particles.js",
+  "elements.js",
+  "reactions.js",
+  "temperature.js",
+  "blasts.js",
+  "wind.js",
+  "electricity.js",
+  "spigots.js",
+  "engine.js",
+  "clipboard.js",
+  "history.js",
+  "paint.js",
+];
+
+/*
+ * The scripts are concatenated into the body of a single function, rather than
+ * each run as a script, so that their top-level declarations become ordinary
+ * local variables. Accessing the globals of a VM context is several times
+ * slower, which adds up in the engine's hot loops. The function returns an
+ * evaluator for code in that scope.
+ */
+var __engineScript = null;
+function __loadEngineScript() {
+  if (!__engineScript) {
+    const sources = ENGINE_SCRIPTS.map(function (script) {
+      return fs.readFileSync(path.join(SCRIPTS_DIR, script), "utf8");
+    });
+    __engineScript = new vm.Script(
+      "(function () {\n" +
+        sources.join("\n") +
+        "\nreturn function (code) {\n  return eval(code);\n};\n})()",
+      { filename: "engine" }
+    );
+  }
+  return __engineScript;
+}
+
+/*
+ * Create a new engine with a 'width' x 'height' grid, initially all
+ * BACKGROUND. If 'seed' is given, the run is fully deterministic.
+ *
+ * The spigots are off by default, since they would otherwise immediately
+ * start filling the grid.
+ */
+function createEngine(options) {
+  const width = options.width;
+  const height = options.height;
+  if (!(width > 0 && height > 0)) throw "width and height are required";
+
+  const context = vm.createContext({
+    console: console,
+    performance: performance,
+    HEADLESS_CONFIG: { width: width, height: height },
+  });
+
+  /* Evaluates code in the engine's (top-level) scope */
+  const run = __loadEngineScript().runInContext(context);
+
+  if (options.seed !== undefined)
+    run("seedRandom(" + (options.seed >>> 0) + ")");
+  run("initEngine()");
+  run("SPIGOT_SIZES.fill(0)");
+
+  const grid = run("gameImagedata32");
+  const elements = run("elements");
+  const elementSpecs = run("elementSpecs");
+  const updateGame = run("updateGame");
+
+  const checkBounds = function (x, y) {
+    if (!(x >= 0 && x < width && y >= 0 && y < height))
+      throw "(" + x + ", " + y + ") is outside the grid";
+  };
+
+  return {
+    width: width,
+    height: height,
+
+    /* The live grid of element colors, in row-major order */
+    grid: grid,
+
+    run: run,
+
+    /* Returns the color of the element with the given constant name */
+    element(name) {
+      for (var i = 0; i !== elementSpecs.length; i++) {
+        if (elementSpecs[i].name === name) return elementSpecs[i].color;
+      }
+      throw "unknown element: " + name;
+    },
+
+    get(x, y) {
+      checkBounds(x, y);
+      return grid[x + y * width];
+    },
+
+    set(x, y, elem) {
+      checkBounds(x, y);
+      if (elements.indexOf(elem) === -1) throw "unknown element: " + elem;
+      grid[x + y * width] = elem;
+    },
+
+    /* Count the pixels holding the given element */
+    count(elem) {
+      var n = 0;
+      for (var i = 0; i !== grid.length; i++) if (grid[i] === elem) n++;
+      return n;
+    },
+
+    /* Advance the simulation by 'frames' frames (default 1) */
+    step(frames) {
+      if (frames === undefined) frames = 1;
+      for (var f = 0; f !== frames; f++) updateGame();
+    },
+  };
+}
+
+module.exports = { createEngine, ENGINE_SCRIPTS };
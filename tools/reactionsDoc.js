@@ -0,0 +1,77 @@
+/*
+ * Generates REACTIONS.md, the reference page for the reaction table.
+ *
+ * Copyright (C) 2026, Josh Don
+ *
+ * Project Sand is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * Project Sand is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/*
+ * Run with `node tools/reactionsDoc.js` after changing scripts/reactions.js.
+ * The tests check that REACTIONS.md is up to date.
+ */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { createEngine } = require("./headless.js");
+
+const REACTIONS_DOC = path.join(__dirname, "..", "REACTIONS.md");
+
+/* Returns the contents of REACTIONS.md */
+function reactionsMarkdown() {
+  const engine = createEngine({ width: 1, height: 1 });
+  const specs = engine.run("reactionSpecs");
+  const elementName = engine.run("elementName");
+  const adjacent = engine.run("REACT_BORDERING_ADJACENT");
+
+  const lines = [
+    "# Reactions",
+    "",
+    "<!-- Generated by tools/reactionsDoc.js from scripts/reactions.js. Do not edit. -->",
+    "",
+    "Each frame, with the given chance, an element checks its neighbors for the element it reacts with. If it finds one, both turn into their products. An element's action may do something else first (ie. fall), so the chances are upper bounds.",
+    "",
+    "Neighbors are either *bordering* (up, down, left, and right) or *all 8* (including corners).",
+    "",
+    "| Element | Reacts with | Neighbors | Chance | Becomes | Other becomes |",
+    "| ------- | ----------- | --------- | -----: | ------- | ------------- |",
+  ];
+  for (var r = 0; r !== specs.length; r++) {
+    const spec = specs[r];
+    lines.push(
+      "| " +
+        [
+          elementName(spec.reactant),
+          elementName(spec.other),
+          spec.neighborhood === adjacent ? "all 8" : "bordering",
+          spec.chance + "%",
+          elementName(spec.product),
+          spec.otherProduct === null
+            ? "(unchanged)"
+            : elementName(spec.otherProduct),
+        ].join(" | ") +
+        " |"
+    );
+  }
+  return lines.join("\n") + "\n";
+}
+
+if (require.main === module) {
+  fs.writeFileSync(REACTIONS_DOC, reactionsMarkdown());
+  console.log("Wrote " + REACTIONS_DOC);
+}
+
+module.exports = { reactionsMarkdown, REACTIONS_DOC };